@@ -0,0 +1,120 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+
+const { dataPath, ensureDir } = require("./store");
+const { logger } = require("./logger");
+
+// Аудит jobs: append-only JSONL, файл на день (data/audit/YYYY-MM-DD.jsonl).
+// В отличие от jobs и результатов, записи сервис не меняет и не удаляет.
+
+const DAY_FILE_RE = /^(\d{4}-\d{2}-\d{2})\.jsonl$/;
+
+function auditDir() {
+  return dataPath("audit");
+}
+
+function dayFile(day) {
+  return path.join(auditDir(), `${day}.jsonl`);
+}
+
+/** Дописывает запись { at, event, ...fields }; ошибка записи не ломает job */
+function record(event, fields) {
+  const entry = { at: new Date().toISOString(), event, ...fields };
+  try {
+    ensureDir(auditDir());
+    fs.appendFileSync(
+      dayFile(entry.at.slice(0, 10)),
+      JSON.stringify(entry) + "\n"
+    );
+  } catch (e) {
+    logger.error("Audit write failed", { event, error: e });
+  }
+  return entry;
+}
+
+function matches(entry, { jobId, clientId, event, outcome, model, from, to }) {
+  if (jobId && entry.jobId !== jobId) return false;
+  if (clientId && entry.clientId !== clientId) return false;
+  if (event && entry.event !== event) return false;
+  if (outcome && entry.outcome !== outcome) return false;
+  if (model && !(entry.models || []).includes(model)) return false;
+  if (from && entry.at < from) return false;
+  if (to && entry.at > to) return false;
+  return true;
+}
+
+/**
+ * Подходящие записи за день: count — сколько их всего, last — последние
+ * keep из них в порядке записи. Файл читается потоком, целиком в память
+ * не попадает.
+ */
+async function readDay(day, filter, keep) {
+  let count = 0;
+  const last = [];
+  const lines = readline.createInterface({
+    input: fs.createReadStream(dayFile(day)),
+    crlfDelay: Infinity,
+  });
+  for await (const line of lines) {
+    if (!line) continue;
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      continue; // строка, оборванная при падении процесса
+    }
+    if (!matches(entry, filter)) continue;
+    count++;
+    last.push(entry);
+    if (last.length > keep) last.shift();
+  }
+  return { count, last };
+}
+
+/**
+ * Записи аудита, новые первыми. from/to — ISO-время; по ним же отбираются
+ * файлы, так что запрос за короткий период не читает весь архив. Дни читаются
+ * от нового к старому и только пока не набралось offset + limit записей:
+ * total известен, лишь если прочитан весь период, иначе null и hasMore.
+ */
+async function queryAudit(filter = {}, { limit = 100, offset = 0 } = {}) {
+  const dir = auditDir();
+  if (!fs.existsSync(dir))
+    return { items: [], total: 0, hasMore: false, limit, offset };
+
+  const fromDay = filter.from && filter.from.slice(0, 10);
+  const toDay = filter.to && filter.to.slice(0, 10);
+  const days = (await fs.promises.readdir(dir))
+    .map((name) => DAY_FILE_RE.exec(name)?.[1])
+    .filter((d) => d && (!fromDay || d >= fromDay) && (!toDay || d <= toDay))
+    .sort()
+    .reverse();
+
+  // на запись больше, чем нужно, — чтобы знать, есть ли следующая страница
+  const need = offset + limit + 1;
+  const found = [];
+  let total = 0;
+  let complete = true;
+  for (const day of days) {
+    if (found.length >= need) {
+      complete = false;
+      break;
+    }
+    const { count, last } = await readDay(day, filter, need - found.length);
+    total += count;
+    for (let i = last.length - 1; i >= 0; i--) found.push(last[i]);
+  }
+
+  return {
+    items: found.slice(offset, offset + limit),
+    total: complete ? total : null,
+    hasMore: found.length > offset + limit,
+    limit,
+    offset,
+  };
+}
+
+module.exports = { record, queryAudit };
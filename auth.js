@@ -0,0 +1,145 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const { logger } = require("./logger");
+
+// клиент без ограничений — когда авторизация отключена (AUTH_DISABLED=true)
+const ANONYMOUS = {
+  id: "anonymous",
+  allowedModels: "*",
+  dailyJobs: null,
+  dailyRows: null,
+  allowedEmailDomains: null,
+  allowedCallbackHosts: null,
+  admin: false,
+};
+
+let clients = null; // sha256(key) -> client
+let disabled = false;
+
+function sha256(s) {
+  return crypto.createHash("sha256").update(String(s)).digest("hex");
+}
+
+/**
+ * Загружает ключи из API_KEYS_FILE (по умолчанию configs/api-keys.json).
+ * Ключ задаётся как "key" или, лучше, как "keySha256".
+ */
+function loadApiKeys() {
+  disabled = process.env.AUTH_DISABLED === "true";
+  if (disabled) {
+    logger.warn("AUTH_DISABLED=true: /api/* is open to everyone");
+    return 0;
+  }
+
+  const file =
+    process.env.API_KEYS_FILE ||
+    path.join(__dirname, "configs/api-keys.json");
+  if (!fs.existsSync(file)) {
+    logger.warn(
+      "API keys file not found: all /api/* requests will be rejected. " +
+        "Create it from configs/api-keys.example.json or set AUTH_DISABLED=true.",
+      { file }
+    );
+    clients = new Map();
+    return 0;
+  }
+
+  const cfg = JSON.parse(fs.readFileSync(file, "utf-8"));
+  clients = new Map();
+  for (const c of cfg.clients || []) {
+    if (!c.id) throw new Error(`${file}: every client needs an "id"`);
+    const hash = c.keySha256 || (c.key && sha256(c.key));
+    if (!hash) throw new Error(`${file}: client ${c.id} has no key`);
+
+    clients.set(hash.toLowerCase(), {
+      id: c.id,
+      allowedModels: c.allowedModels || "*",
+      dailyJobs: c.dailyJobs ?? null,
+      dailyRows: c.dailyRows ?? null,
+      allowedEmailDomains: c.allowedEmailDomains || null,
+      allowedCallbackHosts: c.allowedCallbackHosts || null,
+      admin: c.admin === true,
+    });
+  }
+  return clients.size;
+}
+
+function extractKey(req) {
+  const header = req.get("x-api-key");
+  if (header) return header.trim();
+  const m = /^Bearer\s+(.+)$/i.exec(req.get("authorization") || "");
+  return m ? m[1].trim() : null;
+}
+
+/** Middleware для /api/*: кладёт клиента в req.client или отвечает 401 */
+function requireApiKey(req, res, next) {
+  if (disabled) {
+    req.client = ANONYMOUS;
+    return next();
+  }
+
+  const key = extractKey(req);
+  if (!key)
+    return res.status(401).json({
+      error: "API key required",
+      details: "Send it in the X-API-Key header or as a Bearer token",
+    });
+
+  const client = clients?.get(sha256(key));
+  if (!client) return res.status(401).json({ error: "Invalid API key" });
+
+  req.client = client;
+  next();
+}
+
+/** Только для ключей с "admin": true (при AUTH_DISABLED admin API закрыт) */
+function requireAdmin(req, res, next) {
+  if (!req.client?.admin)
+    return res.status(403).json({ error: "Admin API key required" });
+  next();
+}
+
+function isModelAllowed(client, modelId) {
+  return client.allowedModels === "*" || client.allowedModels.includes(modelId);
+}
+
+function isEmailAllowed(client, email) {
+  if (!client.allowedEmailDomains || !email) return true;
+  const domain = email.split("@").pop().toLowerCase();
+  return client.allowedEmailDomains.some((d) => d.toLowerCase() === domain);
+}
+
+/** Хост callbackUrl: точное совпадение или "*.example.com" для поддоменов */
+function isCallbackAllowed(client, url) {
+  if (!client.allowedCallbackHosts) return true;
+  const host = new URL(url).hostname.toLowerCase();
+  return client.allowedCallbackHosts.some((h) => {
+    const pattern = h.toLowerCase();
+    return pattern.startsWith("*.")
+      ? host.endsWith(pattern.slice(1))
+      : host === pattern;
+  });
+}
+
+/** null, если квота не превышена, иначе текст ошибки */
+function checkQuota(client, usage, rows) {
+  if (client.dailyJobs != null && usage.jobs + 1 > client.dailyJobs)
+    return `Daily job limit reached (${client.dailyJobs})`;
+  if (client.dailyRows != null && usage.rows + rows > client.dailyRows)
+    return `Daily row limit exceeded: ${usage.rows} used + ${rows} requested > ${client.dailyRows}`;
+  return null;
+}
+
+module.exports = {
+  loadApiKeys,
+  requireApiKey,
+  requireAdmin,
+  isModelAllowed,
+  isEmailAllowed,
+  isCallbackAllowed,
+  checkQuota,
+};
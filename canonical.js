@@ -0,0 +1,69 @@
+"use strict";
+
+const XLSX = require("xlsx");
+
+const { splitUrls } = require("./quality");
+
+// Канонический лист для inference: колонки названы по полям, а не по шаблону
+// поставщика, поэтому модели не нужно угадывать заголовки.
+const CANONICAL_SHEET = "products";
+const CANONICAL_COLUMNS = [
+  "row_id",
+  "product_images",
+  "title",
+  "description",
+  "bullet_points",
+];
+
+// обрезаем края, неразрывные пробелы и повторы пробелов; переводы строк оставляем
+function cleanText(v) {
+  return String(v ?? "")
+    .replace(/\r\n?/g, "\n")
+    .replace(/[ \t\u00a0]+/g, " ")
+    .replace(/ *\n */g, "\n")
+    .trim();
+}
+
+/**
+ * Книга с одним листом CANONICAL_SHEET, заголовок в первой строке.
+ * table — как в buildQualityReport; row_id — номер строки в исходном листе.
+ * Несколько URL картинок и несколько колонок bullet_points склеиваются через "\n".
+ */
+function buildCanonicalWorkbook(table, mapping, normalize) {
+  const indexOf = (col) => {
+    if (!col) return -1;
+    return table.header.findIndex((h) => normalize(h) === normalize(col));
+  };
+
+  const imagesIdx = indexOf(mapping.product_images);
+  const titleIdx = indexOf(mapping.title);
+  const descriptionIdx = indexOf(mapping.description);
+  const bulletIdx = [].concat(mapping.bullet_points || []).map(indexOf);
+
+  const cell = (cells, idx) => (idx >= 0 ? cleanText(cells[idx]) : "");
+
+  const aoa = [CANONICAL_COLUMNS];
+  for (const { rowNumber, cells } of table.rows) {
+    aoa.push([
+      rowNumber,
+      imagesIdx >= 0 ? splitUrls(cells[imagesIdx]).join("\n") : "",
+      cell(cells, titleIdx),
+      cell(cells, descriptionIdx),
+      bulletIdx
+        .filter((i) => i >= 0)
+        .map((i) => cell(cells, i))
+        .filter(Boolean)
+        .join("\n"),
+    ]);
+  }
+
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(
+    wb,
+    XLSX.utils.aoa_to_sheet(aoa),
+    CANONICAL_SHEET
+  );
+  return XLSX.write(wb, { type: "buffer", bookType: "xlsx" });
+}
+
+module.exports = { CANONICAL_SHEET, CANONICAL_COLUMNS, buildCanonicalWorkbook };
@@ -0,0 +1,122 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const Ajv = require("ajv");
+
+const { writeJsonAtomic } = require("./store");
+
+// configs/required.json и configs/models.json: проверка по JSON Schema
+// (configs/schemas) при загрузке и перезагрузка без рестарта через admin API.
+
+const FILES = {
+  required: path.join(__dirname, "configs/required.json"),
+  models: path.join(__dirname, "configs/models.json"),
+};
+
+const ajv = new Ajv({ allErrors: true });
+const validators = {
+  required: ajv.compile(require("./configs/schemas/required.schema.json")),
+  models: ajv.compile(require("./configs/schemas/models.schema.json")),
+};
+
+let current = null; // { required, models }
+
+function relative(file) {
+  return path.relative(__dirname, file);
+}
+
+// "configs/models.json /0/requiredFields/1: must be equal to one of the allowed values (...)"
+function describeErrors(file, errors) {
+  return errors.map((e) => {
+    let msg = e.message;
+    if (e.params?.allowedValues)
+      msg += ` (${e.params.allowedValues.join(", ")})`;
+    if (e.params?.additionalProperty)
+      msg += `: ${e.params.additionalProperty}`;
+    return `${relative(file)} ${e.instancePath || "/"}: ${msg}`;
+  });
+}
+
+function configError(details) {
+  const err = new Error(`Invalid config:\n  ${details.join("\n  ")}`);
+  err.details = details;
+  return err;
+}
+
+function readJsonFile(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch (e) {
+    throw configError([`${relative(file)}: ${e.message}`]);
+  }
+}
+
+// значения по умолчанию для полей модели, которых нет в записи
+function normalizeModel(m, requiredCfg) {
+  return {
+    ...m,
+    description: m.description || "",
+    version: m.version ?? null,
+    requiredFields: m.requiredFields || requiredCfg.required,
+    enabled: m.enabled !== false,
+    params: m.params || {},
+  };
+}
+
+/**
+ * Проверяет пару конфигов (схема + связи между файлами) и возвращает
+ * { required, models } с дополненными моделями; иначе бросает ошибку с details.
+ */
+function validateConfigs(requiredCfg, modelsCfg) {
+  const details = [];
+  if (!validators.required(requiredCfg))
+    details.push(...describeErrors(FILES.required, validators.required.errors));
+  if (!validators.models(modelsCfg))
+    details.push(...describeErrors(FILES.models, validators.models.errors));
+  if (details.length) throw configError(details);
+
+  const seen = new Set();
+  modelsCfg.forEach((m, i) => {
+    if (seen.has(m.id))
+      details.push(`${relative(FILES.models)} /${i}/id: duplicate id ${m.id}`);
+    seen.add(m.id);
+
+    const unknown = (m.requiredFields || []).filter(
+      (f) => !requiredCfg.required.includes(f)
+    );
+    if (unknown.length)
+      details.push(
+        `${relative(FILES.models)} /${i}/requiredFields: not in configs/required.json: ${unknown.join(", ")}`
+      );
+  });
+  if (details.length) throw configError(details);
+
+  return {
+    required: requiredCfg,
+    models: modelsCfg.map((m) => normalizeModel(m, requiredCfg)),
+  };
+}
+
+/** Читает оба файла с диска; при ошибке текущие конфиги не меняются */
+function loadConfigs() {
+  current = validateConfigs(
+    readJsonFile(FILES.required),
+    readJsonFile(FILES.models)
+  );
+  return current;
+}
+
+/** Проверяет, записывает на диск и применяет; patch — { required?, models? } */
+function updateConfigs(patch) {
+  const next = validateConfigs(
+    patch.required ?? current.required,
+    patch.models ?? current.models
+  );
+  if (patch.required) writeJsonAtomic(FILES.required, next.required);
+  if (patch.models) writeJsonAtomic(FILES.models, next.models);
+  current = next;
+  return current;
+}
+
+module.exports = { loadConfigs, updateConfigs };
@@ -0,0 +1,248 @@
+"use strict";
+
+// Шаблоны писем: каждый шаблон описывает содержимое (заголовок, абзацы,
+// детали job, ссылку), а text- и HTML-версии строятся из него одинаково.
+
+const DEFAULT_LOCALE = "en";
+
+const LOCALES = {
+  en: {
+    labels: {
+      jobId: "Job",
+      models: "Models",
+      rows: "Rows",
+      duration: "Duration",
+      expiresAt: "Link expires",
+      reason: "Reason",
+      time: "Time",
+      node: "Node",
+      pid: "PID",
+      env: "Env",
+    },
+    units: { h: "h", m: "min", s: "s" },
+    footer: "ML Parser — this is an automated message.",
+    reasons: {
+      timeout: () => "The inference service did not respond in time.",
+      overloaded: () =>
+        "The inference service is overloaded. Please try again later.",
+      upstream: (status) =>
+        `The inference service returned an error (HTTP ${status}).`,
+      rejected: (status) =>
+        `The inference service rejected the file (HTTP ${status}).`,
+      notConfigured: () =>
+        "The inference service is not configured on the server.",
+      interrupted: () =>
+        "Processing was interrupted by a server restart. Please submit the file again.",
+      unexpected: () =>
+        "An unexpected error occurred while processing your file.",
+    },
+
+    started: () => ({
+      subject: "⏳ Your file is being processed",
+      title: "Your file is being processed",
+      paragraphs: ["We will email you when it is ready."],
+      details: ["jobId", "models"],
+    }),
+    done: (v) => ({
+      subject: "Your file is ready",
+      title: "Your file is ready",
+      paragraphs: [
+        v.attached
+          ? "The result is attached. You can also download it using the link below."
+          : "The result is too large to attach. Download it using the link below.",
+      ],
+      details: ["jobId", "models", "rows", "duration", "expiresAt"],
+      link: v.downloadUrl && { url: v.downloadUrl, label: "Download result" },
+    }),
+    failed: () => ({
+      subject: "❌ Your file could not be processed",
+      title: "Your file could not be processed",
+      paragraphs: [
+        "Please try again later or contact support with the job id.",
+      ],
+      details: ["jobId", "models", "reason", "duration"],
+    }),
+    cancelled: () => ({
+      subject: "Processing of your file was cancelled",
+      title: "Processing was cancelled",
+      paragraphs: [
+        "The job was cancelled at your request. No result will be sent.",
+      ],
+      details: ["jobId", "models", "duration"],
+    }),
+    startup: () => ({
+      subject: "🚀 ML Parser service started",
+      title: "Service startup notification",
+      paragraphs: [],
+      details: ["time", "node", "pid", "env"],
+    }),
+  },
+
+  ru: {
+    labels: {
+      jobId: "Задача",
+      models: "Модели",
+      rows: "Строк",
+      duration: "Время обработки",
+      expiresAt: "Ссылка действует до",
+      reason: "Причина",
+      time: "Время",
+      node: "Node",
+      pid: "PID",
+      env: "Окружение",
+    },
+    units: { h: "ч", m: "мин", s: "с" },
+    footer: "ML Parser — это автоматическое письмо.",
+    reasons: {
+      timeout: () => "Сервис распознавания не ответил вовремя.",
+      overloaded: () => "Сервис распознавания перегружен. Попробуйте позже.",
+      upstream: (status) =>
+        `Сервис распознавания вернул ошибку (HTTP ${status}).`,
+      rejected: (status) =>
+        `Сервис распознавания отклонил файл (HTTP ${status}).`,
+      notConfigured: () => "Сервис распознавания не настроен на сервере.",
+      interrupted: () =>
+        "Обработка прервана перезапуском сервера. Отправьте файл ещё раз.",
+      unexpected: () => "При обработке файла произошла непредвиденная ошибка.",
+    },
+
+    started: () => ({
+      subject: "⏳ Ваш файл обрабатывается",
+      title: "Ваш файл обрабатывается",
+      paragraphs: ["Мы пришлём письмо, когда результат будет готов."],
+      details: ["jobId", "models"],
+    }),
+    done: (v) => ({
+      subject: "Ваш файл готов",
+      title: "Ваш файл готов",
+      paragraphs: [
+        v.attached
+          ? "Результат во вложении. Его также можно скачать по ссылке ниже."
+          : "Результат слишком большой для вложения. Скачайте его по ссылке ниже.",
+      ],
+      details: ["jobId", "models", "rows", "duration", "expiresAt"],
+      link: v.downloadUrl && { url: v.downloadUrl, label: "Скачать результат" },
+    }),
+    failed: () => ({
+      subject: "❌ Не удалось обработать ваш файл",
+      title: "Не удалось обработать ваш файл",
+      paragraphs: [
+        "Попробуйте позже или обратитесь в поддержку, указав номер задачи.",
+      ],
+      details: ["jobId", "models", "reason", "duration"],
+    }),
+    cancelled: () => ({
+      subject: "Обработка вашего файла отменена",
+      title: "Обработка отменена",
+      paragraphs: ["Задача отменена по вашему запросу. Результата не будет."],
+      details: ["jobId", "models", "duration"],
+    }),
+    startup: () => ({
+      subject: "🚀 Сервис ML Parser запущен",
+      title: "Уведомление о запуске сервиса",
+      paragraphs: [],
+      details: ["time", "node", "pid", "env"],
+    }),
+  },
+};
+
+const SUPPORTED_LOCALES = Object.keys(LOCALES);
+
+function escapeHtml(s) {
+  return String(s)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function formatDuration(ms, units) {
+  if (ms == null || !Number.isFinite(ms)) return null;
+  const total = Math.max(0, Math.round(ms / 1000));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = total % 60;
+
+  const parts = [];
+  if (h) parts.push(`${h} ${units.h}`);
+  if (h || m) parts.push(`${m} ${units.m}`);
+  parts.push(`${s} ${units.s}`);
+  return parts.join(" ");
+}
+
+function formatValue(key, v, dict) {
+  const value = v[key];
+  if (key === "duration") return formatDuration(value, dict.units);
+  if (key === "reason" && value) {
+    const reason = dict.reasons[value.code] || dict.reasons.unexpected;
+    return reason(value.httpStatus);
+  }
+  if (key === "models") return (value || []).join(", ") || null;
+  if (value == null || value === "") return null;
+  return String(value);
+}
+
+function renderText(content, rows, footer) {
+  return [
+    content.title,
+    "",
+    ...content.paragraphs.flatMap((p) => [p, ""]),
+    ...rows.map(([label, value]) => `${label}: ${value}`),
+    ...(content.link ? ["", `${content.link.label}: ${content.link.url}`] : []),
+    "",
+    "--",
+    footer,
+  ].join("\n");
+}
+
+function renderHtml(content, rows, footer, locale) {
+  const details = rows
+    .map(
+      ([label, value]) =>
+        `<tr><td style="padding:4px 16px 4px 0;color:#666">${escapeHtml(label)}</td>` +
+        `<td style="padding:4px 0">${escapeHtml(value)}</td></tr>`
+    )
+    .join("");
+
+  const link = content.link
+    ? `<p style="margin:24px 0"><a href="${escapeHtml(content.link.url)}" ` +
+      `style="background:#2563eb;color:#fff;padding:10px 18px;border-radius:6px;text-decoration:none">` +
+      `${escapeHtml(content.link.label)}</a></p>`
+    : "";
+
+  return [
+    `<!DOCTYPE html><html lang="${locale}"><head><meta charset="utf-8"></head>`,
+    `<body style="font-family:Arial,sans-serif;font-size:14px;color:#111">`,
+    `<h2 style="margin:0 0 16px">${escapeHtml(content.title)}</h2>`,
+    ...content.paragraphs.map((p) => `<p>${escapeHtml(p)}</p>`),
+    details ? `<table style="border-collapse:collapse">${details}</table>` : "",
+    link,
+    `<p style="margin-top:32px;color:#999;font-size:12px">${escapeHtml(footer)}</p>`,
+    `</body></html>`,
+  ].join("\n");
+}
+
+/**
+ * Рендер письма: name — started | done | failed | cancelled | startup.
+ * Возвращает { subject, text, html } для sendResultEmail / queueEmail.
+ */
+function renderEmail(name, locale, vars = {}) {
+  const lang = LOCALES[locale] ? locale : DEFAULT_LOCALE;
+  const dict = LOCALES[lang];
+  const template = dict[name];
+  if (typeof template !== "function")
+    throw new Error(`Unknown email template: ${name}`);
+
+  const content = template(vars);
+  const rows = content.details
+    .map((key) => [dict.labels[key], formatValue(key, vars, dict)])
+    .filter(([, value]) => value != null);
+
+  return {
+    subject: content.subject,
+    text: renderText(content, rows, dict.footer),
+    html: renderHtml(content, rows, dict.footer, lang),
+  };
+}
+
+module.exports = { DEFAULT_LOCALE, SUPPORTED_LOCALES, renderEmail };
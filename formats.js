@@ -0,0 +1,138 @@
+"use strict";
+
+const path = require("path");
+const XLSX = require("xlsx");
+
+const XLSX_MIME =
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+const ODS_MIME = "application/vnd.oasis.opendocument.spreadsheet";
+
+// .txt / text/plain не принимаем: любой текстовый файл разобрался бы как CSV.
+// CSV с mimetype text/plain всё равно проходит по расширению.
+const EXTENSIONS = [".xlsx", ".xls", ".ods", ".csv", ".tsv"];
+const MIMETYPES = [
+  XLSX_MIME,
+  ODS_MIME,
+  "application/vnd.ms-excel",
+  "text/csv",
+  "text/tab-separated-values",
+];
+
+const DELIMITERS = [",", ";", "\t", "|"];
+
+function extOf(filename) {
+  return path.extname(String(filename || "")).toLowerCase();
+}
+
+function isAccepted(file) {
+  return (
+    MIMETYPES.includes(file.mimetype) ||
+    EXTENSIONS.includes(extOf(file.originalname))
+  );
+}
+
+/** Формат по сигнатуре файла; для zip различаем ODS и XLSX по записи mimetype */
+function detectFormat(buffer, filename) {
+  const ext = extOf(filename);
+
+  if (buffer.length >= 4 && buffer.readUInt32BE(0) === 0x504b0304) {
+    const head = buffer.subarray(0, 128).toString("latin1");
+    return head.includes(ODS_MIME) || ext === ".ods" ? "ods" : "xlsx";
+  }
+  if (buffer.length >= 4 && buffer.readUInt32BE(0) === 0xd0cf11e0) return "xls";
+
+  return ext === ".tsv" ? "tsv" : "csv";
+}
+
+function detectEncoding(buffer) {
+  if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf)
+    return "utf-8";
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) return "utf-16le";
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) return "utf-16be";
+
+  try {
+    new TextDecoder("utf-8", { fatal: true }).decode(buffer);
+    return "utf-8";
+  } catch {
+    // не UTF-8 — для наших поставщиков это почти всегда Windows-1251
+    return "windows-1251";
+  }
+}
+
+function decodeText(buffer, encoding) {
+  // TextDecoder сам снимает BOM
+  if (encoding === "utf-16be") {
+    const swapped = Buffer.from(buffer);
+    swapped.swap16();
+    return new TextDecoder("utf-16le").decode(swapped);
+  }
+  return new TextDecoder(encoding).decode(buffer);
+}
+
+// число разделителей в строке без учёта текста в кавычках
+function countOutsideQuotes(line, delimiter) {
+  let n = 0;
+  let quoted = false;
+  for (const ch of line) {
+    if (ch === '"') quoted = !quoted;
+    else if (ch === delimiter && !quoted) n++;
+  }
+  return n;
+}
+
+/** Разделитель, который встречается чаще всего и одинаково во всех первых строках */
+function detectDelimiter(text, fallback = ",") {
+  const lines = text
+    .split(/\r?\n/)
+    .filter((l) => l.trim() !== "")
+    .slice(0, 20);
+  if (!lines.length) return fallback;
+
+  let best = { delimiter: fallback, score: 0 };
+  for (const d of DELIMITERS) {
+    const counts = lines.map((l) => countOutsideQuotes(l, d));
+    const min = Math.min(...counts);
+    const consistent = counts.filter((c) => c === counts[0]).length;
+    const score = min > 0 ? min * 10 + consistent : 0;
+    if (score > best.score) best = { delimiter: d, score };
+  }
+  return best.delimiter;
+}
+
+/**
+ * Приводит входной файл к XLSX: inference всегда получает один и тот же формат.
+ * Возвращает буфер XLSX и то, что удалось определить о входе.
+ */
+function toCanonicalXlsx(buffer, filename) {
+  const format = detectFormat(buffer, filename);
+
+  if (format === "xlsx")
+    return { buffer, format: { type: format, delimiter: null, encoding: null } };
+
+  let wb;
+  let delimiter = null;
+  let encoding = null;
+
+  if (format === "csv" || format === "tsv") {
+    encoding = detectEncoding(buffer);
+    const text = decodeText(buffer, encoding);
+    delimiter = detectDelimiter(text, format === "tsv" ? "\t" : ",");
+    // raw: значения остаются строками (артикулы, штрихкоды с ведущими нулями)
+    wb = XLSX.read(text, { type: "string", FS: delimiter, raw: true });
+  } else {
+    wb = XLSX.read(buffer, { type: "buffer" });
+  }
+
+  return {
+    buffer: XLSX.write(wb, { type: "buffer", bookType: "xlsx" }),
+    format: { type: format, delimiter, encoding },
+  };
+}
+
+function canonicalFilename(filename) {
+  const name = String(filename || "input");
+  const ext = path.extname(name);
+  return (ext ? name.slice(0, -ext.length) : name) + ".xlsx";
+}
+
+module.exports = { isAccepted, toCanonicalXlsx, canonicalFilename };
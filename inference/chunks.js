@@ -0,0 +1,111 @@
+"use strict";
+
+const XLSX = require("xlsx");
+
+function readRows(ws) {
+  return XLSX.utils.sheet_to_json(ws, {
+    header: 1,
+    defval: "",
+    raw: true,
+    blankrows: true,
+  });
+}
+
+function isBlank(row) {
+  return (row || []).every((v) => String(v ?? "").trim() === "");
+}
+
+function toXlsx(sheetName, rows) {
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(rows), sheetName);
+  return XLSX.write(wb, { type: "buffer", bookType: "xlsx" });
+}
+
+/**
+ * Делит выбранный лист на куски по chunkRows строк данных. Каждый кусок —
+ * отдельная книга из одного листа, где заголовок стоит в первой строке.
+ * Пустые строки данных отбрасываются.
+ */
+function splitWorkbook(buffer, { sheet, headerRow, chunkRows }) {
+  const wb = XLSX.read(buffer, { type: "buffer" });
+  const sheetName = sheet || wb.SheetNames[0];
+  const ws = wb.Sheets[sheetName];
+  if (!ws) throw new Error(`Sheet not found: ${sheetName}`);
+
+  // sheet_to_json начинает с первой строки диапазона, а headerRow — номер строки Excel
+  const firstRow = XLSX.utils.decode_range(ws["!ref"] || "A1").s.r + 1;
+  const rows = readRows(ws);
+  const headerIdx = headerRow ? headerRow - firstRow : 0;
+
+  const preamble = rows.slice(0, headerIdx);
+  const header = rows[headerIdx] || [];
+  const data = rows.slice(headerIdx + 1).filter((r) => !isBlank(r));
+
+  const chunks = [];
+  for (let i = 0; i < data.length; i += chunkRows) {
+    const part = data.slice(i, i + chunkRows);
+    chunks.push({
+      index: chunks.length,
+      rows: part.length,
+      buffer: toXlsx(sheetName, [header, ...part]),
+    });
+  }
+
+  return { sheetName, preamble, totalRows: data.length, chunks };
+}
+
+/**
+ * Склеивает результаты кусков в одну книгу в исходном порядке строк.
+ * Заголовок берётся из первого куска (в нём уже есть колонки предсказаний).
+ */
+function mergeResults(results, { sheetName, preamble }) {
+  let header = null;
+  const data = [];
+
+  for (const buf of results) {
+    const wb = XLSX.read(buf, { type: "buffer" });
+    const ws = wb.Sheets[sheetName] || wb.Sheets[wb.SheetNames[0]];
+    const rows = readRows(ws);
+    const start = rows.findIndex((r) => !isBlank(r));
+    if (start < 0) continue;
+
+    if (!header) header = rows[start];
+    data.push(...rows.slice(start + 1).filter((r) => !isBlank(r)));
+  }
+
+  return toXlsx(sheetName, [...preamble, header || [], ...data]);
+}
+
+/**
+ * Выполняет задачи не более чем по limit одновременно, результаты — в исходном
+ * порядке. При ошибке ждёт, пока завершатся уже запущенные задачи (их стоит
+ * прервать через AbortSignal), и бросает первую ошибку.
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  let failed = false;
+  let firstError;
+
+  // после первой ошибки новые задачи не берём
+  async function worker() {
+    while (!failed && next < items.length) {
+      const i = next++;
+      try {
+        results[i] = await fn(items[i], i);
+      } catch (e) {
+        if (!failed) firstError = e;
+        failed = true;
+        return;
+      }
+    }
+  }
+
+  const workers = [];
+  for (let w = 0; w < Math.min(limit, items.length); w++) workers.push(worker());
+  await Promise.all(workers);
+  if (failed) throw firstError;
+  return results;
+}
+
+module.exports = { splitWorkbook, mergeResults, mapWithConcurrency };
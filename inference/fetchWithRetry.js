@@ -0,0 +1,124 @@
+"use strict";
+
+const { logger } = require("../logger");
+
+// signal прерывает ожидание (отмена job во время паузы между попытками)
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const t = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    function onAbort() {
+      clearTimeout(t);
+      reject(signal.reason);
+    }
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+function isRetryableFetchError(err) {
+  const msg = String(err?.message || "").toLowerCase();
+  return (
+    msg.includes("fetch failed") ||
+    msg.includes("socket") ||
+    msg.includes("econnreset") ||
+    msg.includes("etimedout") ||
+    msg.includes("timeout") ||
+    msg.includes("network") ||
+    msg.includes("undici")
+  );
+}
+
+/**
+ * options.signal — внешняя отмена: обрывает текущий запрос и все дальнейшие
+ * повторы, ошибка — signal.reason. onRetry получает { attempt, retries,
+ * waitMs, error, status } перед каждой паузой.
+ */
+async function fetchJsonWithRetry(
+  url,
+  options,
+  {
+    retries = 5,
+    timeoutMs = 60 * 60 * 1000, // 60 minutes
+    baseDelayMs = 2000,
+    maxDelayMs = 60_000,
+    onRetry = () => {},
+  } = {}
+) {
+  const { signal, ...fetchOptions } = options;
+  let lastErr;
+
+  for (let attempt = 1; attempt <= retries; attempt++) {
+    if (signal?.aborted) throw signal.reason;
+
+    const controller = new AbortController();
+    const t = setTimeout(() => controller.abort(), timeoutMs);
+    const onAbort = () => controller.abort();
+    signal?.addEventListener("abort", onAbort, { once: true });
+
+    try {
+      const r = await fetch(url, { ...fetchOptions, signal: controller.signal });
+
+      const text = await r.text();
+
+      if (!r.ok) {
+        const err = new Error(`HTTP ${r.status}: ${text}`);
+        err.httpStatus = r.status;
+        throw err;
+      }
+
+      const data = JSON.parse(text);
+      return data;
+    } catch (e) {
+      if (signal?.aborted) throw signal.reason;
+      lastErr = e;
+
+      const status = e?.httpStatus;
+      const retryableHttp = status && (status === 429 || status >= 500); // 429/5xx
+      const retryableNet = isRetryableFetchError(e) || e?.name === "AbortError";
+
+      if (attempt === retries || (!retryableHttp && !retryableNet)) {
+        throw lastErr;
+      }
+
+      // backoff: 2s, 4s, 8s... + jitter
+      const exp = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempt - 1));
+      const jitter = Math.floor(Math.random() * 500);
+      const wait = exp + jitter;
+
+      logger.warn(`Inference attempt ${attempt} failed, retrying`, {
+        waitMs: wait,
+        status,
+        error: e,
+      });
+      onRetry({
+        attempt,
+        retries,
+        waitMs: wait,
+        error: String(e?.message || e),
+        status: status ?? null,
+      });
+
+      await sleep(wait, signal);
+    } finally {
+      clearTimeout(t);
+      signal?.removeEventListener("abort", onAbort);
+    }
+  }
+
+  throw lastErr;
+}
+
+/** Настройки повторов для запросов к inference, общие для всех HTTP-провайдеров */
+function retryOptionsFromEnv() {
+  return {
+    retries: Number(process.env.INFERENCE_RETRIES || 5),
+    timeoutMs: Number(process.env.INFERENCE_TIMEOUT_MS || 60 * 60 * 1000), // 60 min
+    baseDelayMs: Number(process.env.INFERENCE_RETRY_BASE_DELAY_MS || 2000),
+    maxDelayMs: Number(process.env.INFERENCE_RETRY_MAX_DELAY_MS || 60_000),
+  };
+}
+
+module.exports = { fetchJsonWithRetry, retryOptionsFromEnv, sleep };
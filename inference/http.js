@@ -0,0 +1,103 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+const { fetchJsonWithRetry, retryOptionsFromEnv } = require("./fetchWithRetry");
+
+const PLACEHOLDER = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+function lookup(obj, dotted) {
+  return dotted
+    .split(".")
+    .reduce((acc, key) => (acc == null ? undefined : acc[key]), obj);
+}
+
+/**
+ * Подставляет значения в шаблон запроса. Строка, целиком состоящая из
+ * "{{name}}", заменяется значением как есть (массив, число), иначе — интерполяция.
+ * "{{env.NAME}}" берётся из process.env.
+ */
+function render(template, vars) {
+  if (Array.isArray(template)) return template.map((t) => render(t, vars));
+  if (template && typeof template === "object") {
+    const out = {};
+    for (const [k, v] of Object.entries(template)) out[k] = render(v, vars);
+    return out;
+  }
+  if (typeof template !== "string") return template;
+
+  const whole = template.match(/^\{\{\s*([\w.]+)\s*\}\}$/);
+  if (whole) return lookup(vars, whole[1]);
+
+  return template.replace(PLACEHOLDER, (_, key) => lookup(vars, key) ?? "");
+}
+
+function loadConfig() {
+  const file =
+    process.env.INFERENCE_HTTP_CONFIG ||
+    path.join(__dirname, "../configs/inference-http.json");
+  const cfg = JSON.parse(fs.readFileSync(file, "utf-8"));
+
+  const url = process.env.INFERENCE_HTTP_URL || cfg.url;
+  if (!url) throw new Error("Generic HTTP inference url is not set");
+  if (!cfg.request) throw new Error(`${file}: "request" mapping is required`);
+  if (!cfg.response?.xlsx_base64)
+    throw new Error(`${file}: "response.xlsx_base64" mapping is required`);
+
+  return { ...cfg, url };
+}
+
+// Generic HTTP inference client: запрос и разбор ответа описываются в конфиге
+function createHttpProvider() {
+  const cfg = loadConfig();
+
+  async function predict({
+    buffer,
+    filename,
+    modelsList,
+    modelParams,
+    sheet,
+    headerRow,
+    signal,
+    onRetry,
+  }) {
+    const vars = {
+      xlsx_base64: Buffer.from(buffer).toString("base64"),
+      models_list: modelsList,
+      models_params: modelParams || {},
+      filename: filename || "input.xlsx",
+      sheet_name: sheet,
+      header_row: headerRow,
+      env: process.env,
+    };
+
+    const data = await fetchJsonWithRetry(
+      cfg.url,
+      {
+        method: cfg.method || "POST",
+        headers: {
+          "content-type": "application/json",
+          accept: "application/json",
+          ...render(cfg.headers || {}, vars),
+        },
+        body: JSON.stringify(render(cfg.request, vars)),
+        signal,
+      },
+      { ...retryOptionsFromEnv(), onRetry }
+    );
+
+    // приводим ответ к контракту Modal: { ok, xlsx_base64, n_rows, filename }
+    const map = cfg.response;
+    return {
+      ok: map.ok ? Boolean(lookup(data, map.ok)) : true,
+      xlsx_base64: lookup(data, map.xlsx_base64),
+      n_rows: map.n_rows ? lookup(data, map.n_rows) : undefined,
+      filename: map.filename ? lookup(data, map.filename) : undefined,
+    };
+  }
+
+  return { name: "http", predict };
+}
+
+module.exports = { createHttpProvider };
@@ -0,0 +1,161 @@
+"use strict";
+
+const { createModalProvider } = require("./modal");
+const { createHttpProvider } = require("./http");
+const { createMockProvider } = require("./mock");
+const { splitWorkbook, mergeResults, mapWithConcurrency } = require("./chunks");
+const metrics = require("../metrics");
+
+const PROVIDERS = {
+  modal: createModalProvider,
+  http: createHttpProvider,
+  mock: createMockProvider,
+};
+
+let provider;
+
+/** Провайдер inference выбирается через INFERENCE_PROVIDER (modal | http | mock) */
+function getProvider() {
+  if (provider) return provider;
+
+  const name = process.env.INFERENCE_PROVIDER || "modal";
+  const create = PROVIDERS[name];
+  if (!create) throw new Error(`Unknown INFERENCE_PROVIDER: ${name}`);
+
+  provider = create();
+  return provider;
+}
+
+async function predictOnce(args) {
+  const { name, predict } = getProvider();
+  const end = metrics.inferenceDuration.startTimer({ provider: name });
+  let data;
+  try {
+    data = await predict(args);
+    end({ outcome: "ok" });
+  } catch (e) {
+    end({ outcome: args.signal?.aborted ? "cancelled" : "error" });
+    throw e;
+  }
+
+  if (!data?.ok) throw new Error(`Inference ok=false: ${JSON.stringify(data)}`);
+  if (!data.xlsx_base64) throw new Error("Inference missing xlsx_base64");
+
+  return data;
+}
+
+function chunkOptions() {
+  return {
+    chunkRows: Number(process.env.INFERENCE_CHUNK_ROWS || 0), // 0 — без разбиения
+    concurrency: Math.max(
+      1,
+      Number(process.env.INFERENCE_CHUNK_CONCURRENCY || 2)
+    ),
+  };
+}
+
+/**
+ * Запускает inference через выбранный провайдер.
+ * Любой провайдер возвращает ответ в формате Modal: { ok, xlsx_base64, n_rows, filename }.
+ *
+ * Если задан INFERENCE_CHUNK_ROWS и строк больше, лист делится на куски,
+ * которые отправляются параллельно (не больше INFERENCE_CHUNK_CONCURRENCY)
+ * и повторяются по отдельности; onProgress получает { total, done, rows }.
+ * signal (AbortSignal) отменяет все запросы и повторы; onRetry получает
+ * каждую неудачную попытку (с номером куска, если лист разбит).
+ */
+async function runInference({
+  buffer,
+  filename,
+  modelsList,
+  modelParams,
+  sheet,
+  headerRow,
+  signal,
+  onProgress = () => {},
+  onRetry: notifyRetry = () => {},
+}) {
+  const onRetry = (info) => {
+    metrics.inferenceRetries.inc({ status: String(info.status ?? "network") });
+    notifyRetry(info);
+  };
+  const args = {
+    buffer,
+    filename,
+    modelsList,
+    modelParams,
+    sheet,
+    headerRow,
+    signal,
+    onRetry,
+  };
+  const { chunkRows, concurrency } = chunkOptions();
+  if (!chunkRows) return predictOnce(args);
+
+  const split = splitWorkbook(buffer, { sheet, headerRow, chunkRows });
+  if (split.chunks.length <= 1) return predictOnce(args);
+
+  const progress = {
+    total: split.chunks.length,
+    done: 0,
+    rows: split.totalRows,
+  };
+  onProgress({ ...progress });
+
+  // первый упавший кусок прерывает остальные: job уже failed, а запросы
+  // в полёте иначе продолжали бы занимать inference после освобождения слота
+  const run = new AbortController();
+  const abortRun = () => run.abort(signal.reason);
+  if (signal?.aborted) abortRun();
+  else signal?.addEventListener("abort", abortRun, { once: true });
+
+  let results;
+  try {
+    results = await mapWithConcurrency(
+      split.chunks,
+      concurrency,
+      async (chunk) => {
+        try {
+          const data = await predictOnce({
+            buffer: chunk.buffer,
+            filename: `chunk-${chunk.index + 1}-${filename || "input.xlsx"}`,
+            modelsList,
+            modelParams,
+            sheet: split.sheetName,
+            headerRow: 1,
+            signal: run.signal,
+            onRetry: (info) => {
+              if (!run.signal.aborted)
+                onRetry({ ...info, chunk: chunk.index + 1 });
+            },
+          });
+          if (!run.signal.aborted) {
+            progress.done++;
+            onProgress({ ...progress });
+          }
+          return data;
+        } catch (e) {
+          if (!run.signal.aborted) run.abort(e);
+          throw e;
+        }
+      }
+    );
+  } finally {
+    signal?.removeEventListener("abort", abortRun);
+  }
+
+  return {
+    ok: true,
+    xlsx_base64: mergeResults(
+      results.map((d) => Buffer.from(d.xlsx_base64, "base64")),
+      split
+    ).toString("base64"),
+    n_rows: results.reduce(
+      (sum, d, i) => sum + (d.n_rows ?? split.chunks[i].rows),
+      0
+    ),
+    filename: results[0].filename,
+  };
+}
+
+module.exports = { getProvider, runInference };
@@ -0,0 +1,87 @@
+"use strict";
+
+const crypto = require("crypto");
+const XLSX = require("xlsx");
+
+const { sleep } = require("./fetchWithRetry");
+
+const LABELS = ["mock_a", "mock_b", "mock_c"];
+
+// одна и та же строка всегда получает одно и то же «предсказание»
+function fakePrediction(modelId, cells) {
+  const h = crypto
+    .createHash("sha1")
+    .update(modelId + "\u0000" + cells.join("\u0000"))
+    .digest();
+  return LABELS[h[0] % LABELS.length];
+}
+
+/**
+ * Локальный провайдер без сети: возвращает ту же книгу, добавив на выбранный
+ * лист по колонке на каждую модель с детерминированными значениями.
+ */
+function createMockProvider() {
+  async function predict({
+    buffer,
+    filename,
+    modelsList,
+    sheet,
+    headerRow,
+    signal,
+  }) {
+    const delay = Number(process.env.INFERENCE_MOCK_DELAY_MS || 0);
+    if (delay > 0) await sleep(delay, signal);
+    if (signal?.aborted) throw signal.reason;
+
+    const wb = XLSX.read(buffer, { type: "buffer" });
+    const sheetName = sheet || wb.SheetNames[0];
+    const ws = wb.Sheets[sheetName];
+    if (!ws) throw new Error(`Sheet not found: ${sheetName}`);
+
+    const range = XLSX.utils.decode_range(ws["!ref"] || "A1");
+    const headerIdx = headerRow ? headerRow - 1 : range.s.r;
+    const firstCol = range.e.c + 1;
+
+    modelsList.forEach((modelId, i) => {
+      ws[XLSX.utils.encode_cell({ r: headerIdx, c: firstCol + i })] = {
+        t: "s",
+        v: modelId,
+      };
+    });
+
+    let nRows = 0;
+    for (let r = headerIdx + 1; r <= range.e.r; r++) {
+      const cells = [];
+      for (let c = range.s.c; c <= range.e.c; c++) {
+        const cell = ws[XLSX.utils.encode_cell({ r, c })];
+        cells.push(cell ? String(cell.v) : "");
+      }
+      if (cells.every((v) => v.trim() === "")) continue;
+      nRows++;
+
+      modelsList.forEach((modelId, i) => {
+        ws[XLSX.utils.encode_cell({ r, c: firstCol + i })] = {
+          t: "s",
+          v: fakePrediction(modelId, cells),
+        };
+      });
+    }
+
+    range.e.c = firstCol + modelsList.length - 1;
+    range.e.r = Math.max(range.e.r, headerIdx);
+    ws["!ref"] = XLSX.utils.encode_range(range);
+
+    return {
+      ok: true,
+      xlsx_base64: XLSX.write(wb, { type: "buffer", bookType: "xlsx" }).toString(
+        "base64"
+      ),
+      n_rows: nRows,
+      filename: `mock-${filename || "input.xlsx"}`,
+    };
+  }
+
+  return { name: "mock", predict };
+}
+
+module.exports = { createMockProvider };
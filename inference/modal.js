@@ -0,0 +1,56 @@
+"use strict";
+
+const { fetchJsonWithRetry, retryOptionsFromEnv } = require("./fetchWithRetry");
+
+// Modal inference client
+function createModalProvider() {
+  async function predict({
+    buffer,
+    filename,
+    modelsList,
+    modelParams,
+    sheet,
+    headerRow,
+    signal,
+    onRetry,
+  }) {
+    const url =
+      process.env.INFERENCE_URL ||
+      "https://dsitdvitamins--test-inference-predict.modal.run";
+    const apiKey = process.env.INFERENCE_API_KEY;
+
+    if (!apiKey) throw new Error("INFERENCE_API_KEY is not set");
+
+    const xlsxBase64 = Buffer.from(buffer).toString("base64");
+
+    const payload = {
+      api_key: apiKey,
+      xlsx_base64: xlsxBase64,
+      models_list: modelsList,
+      filename: filename || "input.xlsx",
+      sheet_name: sheet,
+      header_row: headerRow,
+    };
+    // параметры моделей из configs/models.json — только если они заданы
+    if (modelParams && Object.keys(modelParams).length)
+      payload.models_params = modelParams;
+
+    return fetchJsonWithRetry(
+      url,
+      {
+        method: "POST",
+        headers: {
+          "content-type": "application/json",
+          accept: "application/json",
+        },
+        body: JSON.stringify(payload),
+        signal,
+      },
+      { ...retryOptionsFromEnv(), onRetry }
+    );
+  }
+
+  return { name: "modal", predict };
+}
+
+module.exports = { createModalProvider };
@@ -0,0 +1,237 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
+
+const { dataPath, ensureDir, readJson, writeJsonAtomic } = require("./store");
+const audit = require("./audit");
+
+const STATUSES = [
+  "queued",
+  "inferring",
+  "emailing",
+  "delivering",
+  "done",
+  "failed",
+  "cancelled",
+];
+const TERMINAL = new Set(["done", "failed", "cancelled"]);
+
+const jobs = new Map();
+
+// события по job для живого статуса (SSE): канал — id job
+const events = new EventEmitter();
+events.setMaxListeners(0);
+
+function jobsDir() {
+  return dataPath("jobs");
+}
+
+function jobFile(id) {
+  return path.join(jobsDir(), `${id}.json`);
+}
+
+function persist(job) {
+  writeJsonAtomic(jobFile(job.id), job);
+}
+
+function now() {
+  return new Date().toISOString();
+}
+
+/**
+ * Загружает сохранённые jobs с диска; незавершённые помечаются failed
+ * (процесс был перезапущен) и возвращаются в interrupted — для уведомлений
+ */
+function loadJobs() {
+  jobs.clear();
+  const dir = ensureDir(jobsDir());
+  const interrupted = [];
+
+  for (const name of fs.readdirSync(dir)) {
+    if (!name.endsWith(".json")) continue;
+    const job = readJson(path.join(dir, name), null);
+    if (!job?.id) continue;
+
+    jobs.set(job.id, job);
+    if (!TERMINAL.has(job.status)) {
+      interrupted.push(
+        updateJob(job.id, {
+          status: "failed",
+          error: "Interrupted by server restart",
+        })
+      );
+    }
+  }
+
+  return { loaded: jobs.size, interrupted };
+}
+
+function createJob({
+  clientId,
+  email,
+  callbackUrl,
+  filename,
+  models,
+  sheet,
+  headerRow,
+  mapping,
+  locale,
+  inputRows,
+}) {
+  const at = now();
+  const job = {
+    id: "job_" + crypto.randomBytes(8).toString("hex"),
+    status: "queued",
+    createdAt: at,
+    updatedAt: at,
+    startedAt: null,
+    finishedAt: null,
+    email,
+    callbackUrl,
+    filename,
+    models,
+    sheet,
+    headerRow,
+    mapping,
+    locale,
+    nRows: null,
+    progress: null,
+    result: null,
+    error: null,
+    clientId,
+    inputRows,
+    history: [{ status: "queued", at }],
+    deliveries: [],
+  };
+
+  jobs.set(job.id, job);
+  persist(job);
+  return job;
+}
+
+function updateJob(id, patch) {
+  const job = jobs.get(id);
+  if (!job) return null;
+
+  const at = now();
+  const statusChanged = patch.status && patch.status !== job.status;
+  if (statusChanged) {
+    if (!STATUSES.includes(patch.status))
+      throw new Error(`Unknown job status: ${patch.status}`);
+
+    job.history.push({ status: patch.status, at });
+    if (patch.status === "inferring" && !job.startedAt) job.startedAt = at;
+    if (TERMINAL.has(patch.status)) job.finishedAt = at;
+  }
+
+  Object.assign(job, patch, { updatedAt: at });
+  persist(job);
+
+  if (statusChanged && TERMINAL.has(job.status)) auditFinished(job);
+  if (statusChanged)
+    emitJobEvent(id, "status", { status: job.status, at, error: job.error });
+  if (patch.progress) emitJobEvent(id, "progress", patch.progress);
+  return job;
+}
+
+/** Сколько мс job провёл в каждом статусе (по history) и всего */
+function statusTimings(job) {
+  const ms = (a, b) => Date.parse(b) - Date.parse(a);
+  const timings = {};
+  job.history.forEach((h, i) => {
+    const next = job.history[i + 1];
+    if (next) timings[h.status] = (timings[h.status] || 0) + ms(h.at, next.at);
+  });
+  timings.total = ms(job.createdAt, job.finishedAt || job.updatedAt);
+  return timings;
+}
+
+function auditFinished(job) {
+  audit.record("job.finished", {
+    jobId: job.id,
+    clientId: job.clientId,
+    models: job.models,
+    outcome: job.status,
+    error: job.error,
+    inputRows: job.inputRows,
+    nRows: job.nRows,
+    result: job.result && {
+      filename: job.result.filename,
+      size: job.result.size,
+    },
+    timings: statusTimings(job),
+  });
+}
+
+/** Событие для подписчиков job: status | progress | retry */
+function emitJobEvent(id, type, data) {
+  events.emit(id, { type, data });
+}
+
+/** Подписка на события job; возвращает функцию отписки */
+function onJobEvent(id, listener) {
+  events.on(id, listener);
+  return () => events.off(id, listener);
+}
+
+/** Журнал доставки результата (webhook): по записи на каждую попытку */
+function logDelivery(id, entry) {
+  const job = jobs.get(id);
+  if (!job) return null;
+  return updateJob(id, { deliveries: [...(job.deliveries || []), entry] });
+}
+
+function isTerminal(status) {
+  return TERMINAL.has(status);
+}
+
+function getJob(id) {
+  return jobs.get(id) || null;
+}
+
+function listJobs({ limit = 20, offset = 0, status, clientId } = {}) {
+  const all = Array.from(jobs.values())
+    .filter((j) => !status || j.status === status)
+    .filter((j) => !clientId || j.clientId === clientId)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+  return {
+    items: all.slice(offset, offset + limit),
+    total: all.length,
+    limit,
+    offset,
+  };
+}
+
+/** Сколько jobs и строк клиент отправил с начала текущих суток (UTC) */
+function dailyUsage(clientId) {
+  const since = new Date();
+  since.setUTCHours(0, 0, 0, 0);
+  const from = since.toISOString();
+
+  let count = 0;
+  let rows = 0;
+  for (const j of jobs.values()) {
+    if (j.clientId !== clientId || j.createdAt < from) continue;
+    count++;
+    rows += j.inputRows || 0;
+  }
+  return { jobs: count, rows };
+}
+
+module.exports = {
+  STATUSES,
+  isTerminal,
+  loadJobs,
+  createJob,
+  updateJob,
+  logDelivery,
+  getJob,
+  listJobs,
+  emitJobEvent,
+  onJobEvent,
+  dailyUsage,
+};
@@ -0,0 +1,146 @@
+"use strict";
+
+const crypto = require("crypto");
+const { AsyncLocalStorage } = require("async_hooks");
+
+// Структурные логи: одна JSON-строка на событие (warn/error — в stderr).
+// requestId и jobId берутся из контекста (AsyncLocalStorage), поэтому строки
+// из mailQueue, inference и т.п. внутри job помечаются без передачи jobId.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const context = new AsyncLocalStorage();
+
+// поля с такими именами не пишем никогда
+const SECRET_KEY =
+  /pass(word)?|secret|token|api[-_]?key|authorization|cookie|credential/i;
+
+// значения секретов из env вырезаем и из текста (сообщения ошибок, URL)
+const SECRET_ENV = [
+  "INFERENCE_API_KEY",
+  "RESULT_LINK_SECRET",
+  "WEBHOOK_SECRET",
+  "METRICS_TOKEN",
+  "SMTP_PASS",
+  "GMAIL_CLIENT_SECRET",
+  "GMAIL_REFRESH_TOKEN",
+];
+
+const REDACTED = "[REDACTED]";
+const MAX_DEPTH = 5;
+
+function threshold() {
+  const level = String(process.env.LOG_LEVEL || "").toLowerCase();
+  return LEVELS[level] ?? LEVELS.info;
+}
+
+function redactString(s) {
+  let out = s
+    .replace(/(Bearer\s+)[^\s"',]+/gi, `$1${REDACTED}`)
+    .replace(
+      /([?&](?:token|key|api_key|access_token)=)[^&\s"']+/gi,
+      `$1${REDACTED}`
+    );
+  for (const name of SECRET_ENV) {
+    const value = process.env[name];
+    // короткие значения могут совпасть с обычным текстом
+    if (value && value.length >= 8) out = out.split(value).join(REDACTED);
+  }
+  return out;
+}
+
+// ошибку пишем без e.response, конфигов запроса и прочих вложенных объектов
+function serializeError(e) {
+  const out = { name: e.name, message: redactString(String(e.message)) };
+  if (e.code !== undefined) out.code = e.code;
+  const status = e.httpStatus ?? e.status ?? e.responseCode;
+  if (status !== undefined) out.status = status;
+  if (e.stack && threshold() <= LEVELS.debug)
+    out.stack = redactString(e.stack);
+  return out;
+}
+
+function sanitize(value, depth = 0) {
+  if (value == null || typeof value === "number" || typeof value === "boolean")
+    return value;
+  if (typeof value === "string") return redactString(value);
+  if (typeof value === "bigint") return String(value);
+  if (value instanceof Error) return serializeError(value);
+  if (value instanceof Date) return value.toISOString();
+  if (Buffer.isBuffer(value)) return `[Buffer ${value.length} bytes]`;
+  if (typeof value !== "object") return String(value);
+  if (depth >= MAX_DEPTH) return "[Object]";
+
+  if (Array.isArray(value)) return value.map((v) => sanitize(v, depth + 1));
+  const out = {};
+  for (const [k, v] of Object.entries(value))
+    out[k] = SECRET_KEY.test(k) ? REDACTED : sanitize(v, depth + 1);
+  return out;
+}
+
+function write(level, msg, fields) {
+  if (LEVELS[level] < threshold()) return;
+
+  const line = JSON.stringify({
+    time: new Date().toISOString(),
+    level,
+    msg: redactString(String(msg)),
+    ...context.getStore(),
+    ...sanitize(fields),
+  });
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(
+    line + "\n"
+  );
+}
+
+/** Выполняет fn с полями контекста (jobId и т.п.) — и всё асинхронное внутри */
+function withContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+// X-Request-Id от прокси принимаем, только если он похож на идентификатор
+const REQUEST_ID_RE = /^[\w.:-]{1,100}$/;
+
+// не шумим в логе запросами health-check и scrape метрик
+const QUIET_PATHS = new Set(["/", "/metrics"]);
+
+/**
+ * Middleware: requestId (из X-Request-Id или новый) в контекст и в заголовок
+ * ответа; по завершении — строка лога с методом, путём, статусом и временем.
+ */
+function requestLogger(req, res, next) {
+  const incoming = req.get("x-request-id");
+  const requestId = REQUEST_ID_RE.test(incoming || "")
+    ? incoming
+    : crypto.randomUUID();
+  req.id = requestId;
+  res.set("X-Request-Id", requestId);
+
+  const started = process.hrtime.bigint();
+  res.on("finish", () => {
+    const ms = Number(process.hrtime.bigint() - started) / 1e6;
+    const level = res.statusCode >= 500 ? "error" : "info";
+    write(QUIET_PATHS.has(req.path) ? "debug" : level, "request", {
+      requestId,
+      method: req.method,
+      path: req.originalUrl,
+      status: res.statusCode,
+      durationMs: Math.round(ms * 10) / 10,
+      clientId: req.client?.id,
+      ip: req.ip,
+    });
+  });
+
+  context.run({ requestId }, next);
+}
+
+// logger.info(msg, fields) и т.д. для каждого уровня
+const logger = {};
+for (const level of Object.keys(LEVELS))
+  logger[level] = (msg, fields) => write(level, msg, fields);
+
+module.exports = {
+  logger,
+  withContext,
+  requestLogger,
+};
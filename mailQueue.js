@@ -0,0 +1,60 @@
+"use strict";
+
+const { sendResultEmail } = require("./mailer");
+const metrics = require("./metrics");
+const { logger } = require("./logger");
+
+function retryOptions() {
+  return {
+    retries: Number(process.env.MAIL_RETRIES || 5),
+    baseDelayMs: Number(process.env.MAIL_RETRY_BASE_DELAY_MS || 30_000),
+    maxDelayMs: Number(process.env.MAIL_RETRY_MAX_DELAY_MS || 15 * 60_000),
+  };
+}
+
+/**
+ * Отправляет письмо через sendResultEmail; при ошибке ставит его в очередь
+ * повторов с экспоненциальной задержкой. Promise завершается после успешной
+ * отправки или отклоняется, когда попытки исчерпаны.
+ */
+function queueEmail(message, { label = "email" } = {}) {
+  const { retries, baseDelayMs, maxDelayMs } = retryOptions();
+
+  return new Promise((resolve, reject) => {
+    let n = 0;
+
+    async function attempt() {
+      n++;
+      try {
+        const info = await sendResultEmail(message);
+        metrics.emails.inc({ kind: label, outcome: "sent" });
+        resolve(info);
+      } catch (e) {
+        if (n >= retries) {
+          metrics.emails.inc({ kind: label, outcome: "failed" });
+          logger.error(`${label} failed after ${n} attempts`, {
+            to: message.to,
+            error: e,
+          });
+          reject(e);
+          return;
+        }
+
+        const exp = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, n - 1));
+        const wait = exp + Math.floor(Math.random() * 1000);
+
+        logger.warn(`${label} attempt ${n} failed, retrying`, {
+          to: message.to,
+          waitMs: wait,
+          error: e,
+        });
+
+        setTimeout(attempt, wait);
+      }
+    }
+
+    attempt();
+  });
+}
+
+module.exports = { queueEmail };
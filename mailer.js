@@ -1,10 +1,17 @@
 "use strict";
 
+const fs = require("fs");
+const path = require("path");
 const crypto = require("crypto");
 const { google } = require("googleapis");
+const nodemailer = require("nodemailer");
+
+const { dataPath, ensureDir } = require("./store");
+const { logger } = require("./logger");
 
 let oAuth2Client;
 let gmail;
+let smtpTransporter;
 
 /** RFC 2047 для UTF-8 в Subject/From name (чтобы кириллица не ломалась) */
 function encodeHeaderValue(value) {
@@ -70,6 +77,8 @@ function buildRawEmail({
     `Content-Type: multipart/mixed; boundary="${boundaryMixed}"`,
     `Date: ${new Date().toUTCString()}`,
     `Message-ID: <${Date.now()}.${crypto.randomBytes(8).toString("hex")}@${fromEmail.split("@")[1] || "local"}>`,
+    // пустая строка отделяет заголовки от тела (без неё .eml/SMTP-клиенты путают тело с заголовками)
+    "",
     "",
   ].join("\r\n");
 
@@ -81,7 +90,7 @@ function buildRawEmail({
       [
         `--${boundaryAlt}`,
         `Content-Type: text/plain; charset="UTF-8"`,
-        `Content-Transfer-Encoding: 7bit`,
+        `Content-Transfer-Encoding: 8bit`,
         "",
         String(text),
         "",
@@ -94,7 +103,7 @@ function buildRawEmail({
       [
         `--${boundaryAlt}`,
         `Content-Type: text/html; charset="UTF-8"`,
-        `Content-Transfer-Encoding: 7bit`,
+        `Content-Transfer-Encoding: 8bit`,
         "",
         String(html),
         "",
@@ -108,7 +117,7 @@ function buildRawEmail({
       [
         `--${boundaryAlt}`,
         `Content-Type: text/plain; charset="UTF-8"`,
-        `Content-Transfer-Encoding: 7bit`,
+        `Content-Transfer-Encoding: 8bit`,
         "",
         "",
         "",
@@ -150,11 +159,79 @@ function buildRawEmail({
   return headers + alternativeBlock + attachBlocks.join("") + end;
 }
 
+// Транспорты: все получают одно и то же готовое RFC 822 сообщение из buildRawEmail,
+// поэтому кодировка заголовков и вложений везде одинаковая.
+const transports = {
+  /** Gmail REST API (OAuth2 refresh token) */
+  gmail: {
+    senderVar: "GMAIL_EMAIL",
+    fromEmail: () => process.env.GMAIL_EMAIL,
+    async send({ raw }) {
+      const resp = await getGmailClient().users.messages.send({
+        userId: "me",
+        requestBody: { raw: base64UrlEncode(raw) },
+      });
+      return resp.data;
+    },
+  },
+
+  /** Любой SMTP-сервер через nodemailer */
+  smtp: {
+    senderVar: "MAIL_FROM",
+    fromEmail: () => process.env.MAIL_FROM || process.env.SMTP_USER,
+    async send({ raw, fromEmail, to }) {
+      const info = await getSmtpTransporter().sendMail({
+        envelope: { from: fromEmail, to },
+        raw,
+      });
+      return { id: info.messageId, response: info.response };
+    },
+  },
+
+  /** Пишет .eml в каталог — для dev/test без почтовых учётных данных */
+  outbox: {
+    senderVar: "MAIL_FROM",
+    fromEmail: () => process.env.MAIL_FROM || "ml-parser@localhost",
+    async send({ raw, to }) {
+      const dir = ensureDir(process.env.MAIL_OUTBOX_DIR || dataPath("outbox"));
+      const id = `${Date.now()}_${crypto.randomBytes(4).toString("hex")}`;
+      const file = path.join(dir, `${id}.eml`);
+      await fs.promises.writeFile(file, raw);
+      logger.info("Email written to outbox", { to, file });
+      return { id, file };
+    },
+  },
+};
+
+function getSmtpTransporter() {
+  if (smtpTransporter) return smtpTransporter;
+
+  const { SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS } =
+    process.env;
+  if (!SMTP_HOST) throw new Error("SMTP_HOST is not set");
+
+  smtpTransporter = nodemailer.createTransport({
+    host: SMTP_HOST,
+    port: Number(SMTP_PORT || 587),
+    secure: SMTP_SECURE === "true",
+    auth: SMTP_USER ? { user: SMTP_USER, pass: SMTP_PASS } : undefined,
+  });
+  return smtpTransporter;
+}
+
+/** Транспорт выбирается через MAIL_TRANSPORT: gmail (по умолчанию) | smtp | outbox */
+function getTransport() {
+  const name = process.env.MAIL_TRANSPORT || "gmail";
+  const transport = transports[name];
+  if (!transport) throw new Error(`Unknown MAIL_TRANSPORT: ${name}`);
+  return transport;
+}
+
 async function sendResultEmail({ to, subject, text, filename, contentBuffer, html }) {
-  const gmail = getGmailClient();
+  const transport = getTransport();
 
-  const fromEmail = process.env.GMAIL_EMAIL;
-  if (!fromEmail) throw new Error("GMAIL_EMAIL is not set");
+  const fromEmail = transport.fromEmail();
+  if (!fromEmail) throw new Error(`${transport.senderVar} is not set`);
 
   // attachments are optional
   const attachments = [];
@@ -173,7 +250,8 @@ async function sendResultEmail({ to, subject, text, filename, contentBuffer, htm
 
   const raw = buildRawEmail({
     fromEmail,
-    fromName: process.env.GMAIL_FROM_NAME || "ML Parser",
+    fromName:
+      process.env.MAIL_FROM_NAME || process.env.GMAIL_FROM_NAME || "ML Parser",
     to,
     subject,
     text,
@@ -181,14 +259,7 @@ async function sendResultEmail({ to, subject, text, filename, contentBuffer, htm
     attachments,
   });
 
-  const encodedMessage = base64UrlEncode(raw);
-
-  const resp = await gmail.users.messages.send({
-    userId: "me",
-    requestBody: { raw: encodedMessage },
-  });
-
-  return resp.data;
+  return transport.send({ raw, fromEmail, to });
 }
 
 
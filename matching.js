@@ -0,0 +1,154 @@
+"use strict";
+
+// Нечёткое сопоставление заголовков с алиасами полей: совпадение токенов,
+// расстояние редактирования и транслитерация (кириллица -> латиница),
+// чтобы "Prod. Titel", "Bild-URL 1" или "Описание товара" тоже находились.
+
+const CYRILLIC = {
+  а: "a", б: "b", в: "v", г: "g", д: "d", е: "e", ё: "e", ж: "zh", з: "z",
+  и: "i", й: "y", к: "k", л: "l", м: "m", н: "n", о: "o", п: "p", р: "r",
+  с: "s", т: "t", у: "u", ф: "f", х: "h", ц: "ts", ч: "ch", ш: "sh",
+  щ: "sch", ъ: "", ы: "y", ь: "", э: "e", ю: "yu", я: "ya", і: "i", ї: "yi",
+  є: "e", ґ: "g",
+};
+
+const TOKEN_MIN_SIMILARITY = 0.7;
+
+/** Ключ для сравнения: нижний регистр, без диакритики и пунктуации, латиницей */
+function matchKey(s) {
+  return String(s ?? "")
+    .toLowerCase()
+    .replace(/[\u0400-\u04ff]/g, (ch) => CYRILLIC[ch] ?? ch)
+    .replace(/ß/g, "ss")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[_\-.\/]+/g, " ")
+    .replace(/[^\p{L}\p{N} ]/gu, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// номера ("Bullet 1", "Image 2") не влияют на смысл заголовка
+function tokens(key) {
+  return key.split(" ").filter((t) => t && !/^\d+$/.test(t));
+}
+
+/** Расстояние Дамерау–Левенштейна (с перестановкой соседних символов) */
+function editDistance(a, b) {
+  // три строки матрицы вместо всей: i-2, i-1 и текущая
+  let prev2 = new Uint16Array(b.length + 1);
+  let prev = Uint16Array.from({ length: b.length + 1 }, (_, j) => j);
+  let cur = new Uint16Array(b.length + 1);
+
+  for (let i = 1; i <= a.length; i++) {
+    cur[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let d = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1])
+        d = Math.min(d, prev2[j - 2] + 1);
+      cur[j] = d;
+    }
+    [prev2, prev, cur] = [prev, cur, prev2];
+  }
+  return prev[b.length];
+}
+
+function stringSimilarity(a, b) {
+  if (a === b) return 1;
+  const len = Math.max(a.length, b.length);
+  return len ? 1 - editDistance(a, b) / len : 0;
+}
+
+function tokenSimilarity(a, b) {
+  if (a === b) return 1;
+  // сокращения: "prod" -> "product", но не "prod" -> "produktbeschreibung"
+  const [short, long] = a.length < b.length ? [a, b] : [b, a];
+  if (
+    short.length >= 3 &&
+    short.length * 2 >= long.length &&
+    long.startsWith(short)
+  )
+    return 0.85;
+  // при такой разнице длин порог всё равно не набрать
+  if (short.length / long.length < TOKEN_MIN_SIMILARITY) return 0;
+  const s = stringSimilarity(a, b);
+  return s >= TOKEN_MIN_SIMILARITY ? s : 0;
+}
+
+// пары токенов повторяются от ячейки к ячейке, кэш сильно ускоряет поиск заголовков
+const tokenCache = new Map();
+
+function cachedTokenSimilarity(a, b) {
+  const k = a + "\u0000" + b;
+  let v = tokenCache.get(k);
+  if (v === undefined) {
+    if (tokenCache.size > 100000) tokenCache.clear();
+    v = tokenSimilarity(a, b);
+    tokenCache.set(k, v);
+  }
+  return v;
+}
+
+// доля токенов одной стороны, нашедших пару на другой
+function coverage(from, to) {
+  if (!from.length) return 0;
+  let sum = 0;
+  for (const t of from) {
+    let best = 0;
+    for (const u of to) best = Math.max(best, cachedTokenSimilarity(t, u));
+    sum += best;
+  }
+  return sum / from.length;
+}
+
+function prepare(s) {
+  const key = matchKey(s);
+  const t = tokens(key);
+  return { key, tokens: t, joined: t.join(" ") };
+}
+
+// алиасы берутся из конфига, их разбор кэшируем
+const aliasCache = new Map();
+
+function preparedAlias(alias) {
+  let p = aliasCache.get(alias);
+  if (!p) {
+    p = prepare(alias);
+    aliasCache.set(alias, p);
+  }
+  return p;
+}
+
+// Похожесть заголовка на алиас от 0 до 1. Важнее, чтобы в заголовке нашлись
+// все слова алиаса ("Main Image URL" ~ "image url"), чем обратное.
+// floor — уже найденный лучший результат: дорогое сравнение целых строк
+// пропускаем, если оно заведомо его не превысит
+function score(h, a, floor = 0) {
+  if (!h.key || !a.key) return 0;
+  if (h.key === a.key) return 1;
+  if (h.joined === a.joined) return 0.95;
+
+  const byTokens =
+    0.7 * coverage(a.tokens, h.tokens) + 0.3 * coverage(h.tokens, a.tokens);
+  const lengthBound =
+    Math.min(h.key.length, a.key.length) / Math.max(h.key.length, a.key.length);
+  if (lengthBound * 0.9 <= Math.max(byTokens, floor)) return byTokens;
+  // склеенные слова и опечатки ("productname", "titel"); опечатку в первой
+  // букве не ищем — иначе каждую ячейку пришлось бы сравнивать со всеми алиасами
+  if (h.key[0] !== a.key[0]) return byTokens;
+  return Math.max(byTokens, stringSimilarity(h.key, a.key) * 0.9);
+}
+
+/** Лучшая похожесть заголовка на любой из алиасов, округлённая до сотых */
+function bestScore(header, aliases) {
+  const h = prepare(header);
+  let best = 0;
+  for (const alias of aliases || []) {
+    best = Math.max(best, score(h, preparedAlias(alias), best));
+    if (best === 1) break;
+  }
+  return Math.round(best * 100) / 100;
+}
+
+module.exports = { matchKey, bestScore };
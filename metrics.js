@@ -0,0 +1,82 @@
+"use strict";
+
+const client = require("prom-client");
+
+// Метрики Prometheus внутри процесса; отдаются на GET /metrics.
+
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry });
+
+const jobsCreated = new client.Counter({
+  name: "mlparser_jobs_created_total",
+  help: "Jobs accepted by POST /api/jobs, per selected model",
+  labelNames: ["model"],
+  registers: [registry],
+});
+
+const jobsFinished = new client.Counter({
+  name: "mlparser_jobs_finished_total",
+  help: "Finished jobs per model and outcome (done, failed, cancelled)",
+  labelNames: ["model", "outcome"],
+  registers: [registry],
+});
+
+const inferenceDuration = new client.Histogram({
+  name: "mlparser_inference_duration_seconds",
+  help: "Duration of one inference request including retries",
+  labelNames: ["provider", "outcome"],
+  buckets: [1, 5, 15, 30, 60, 120, 300, 600, 1200, 1800, 3600],
+  registers: [registry],
+});
+
+const inferenceRetries = new client.Counter({
+  name: "mlparser_inference_retries_total",
+  help: 'Retried inference attempts by HTTP status ("network" for connection errors and timeouts)',
+  labelNames: ["status"],
+  registers: [registry],
+});
+
+const rowsProcessed = new client.Counter({
+  name: "mlparser_rows_processed_total",
+  help: "Rows of successfully processed jobs",
+  registers: [registry],
+});
+
+const uploadSize = new client.Histogram({
+  name: "mlparser_upload_size_bytes",
+  help: "Size of uploaded spreadsheets by detected format",
+  labelNames: ["format"],
+  buckets: [1e4, 1e5, 1e6, 5e6, 1e7, 5e7, 1e8, 2e8],
+  registers: [registry],
+});
+
+const emails = new client.Counter({
+  name: "mlparser_emails_total",
+  help: "Emails by kind and final outcome (sent, or failed after all retries)",
+  labelNames: ["kind", "outcome"],
+  registers: [registry],
+});
+
+/** Gauge, значение которого читается в момент сбора (например, глубина очереди) */
+function gaugeFrom(name, help, read) {
+  return new client.Gauge({
+    name,
+    help,
+    registers: [registry],
+    collect() {
+      this.set(read());
+    },
+  });
+}
+
+module.exports = {
+  registry,
+  jobsCreated,
+  jobsFinished,
+  inferenceDuration,
+  inferenceRetries,
+  rowsProcessed,
+  uploadSize,
+  emails,
+  gaugeFrom,
+};
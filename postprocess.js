@@ -0,0 +1,135 @@
+"use strict";
+
+const XLSX = require("xlsx");
+
+const { CANONICAL_COLUMNS } = require("./canonical");
+
+const SUMMARY_SHEET = "Summary";
+
+function readRows(ws) {
+  return XLSX.utils.sheet_to_json(ws, { header: 1, defval: "", raw: true });
+}
+
+/**
+ * Колонки предсказаний из ответа inference: всё, что не входит в канонический
+ * лист. Возвращает { columns, byRowId: Map(row_id -> значения) }.
+ */
+function readPredictions(buffer) {
+  const wb = XLSX.read(buffer, { type: "buffer" });
+  const rows = readRows(wb.Sheets[wb.SheetNames[0]]);
+  const header = (rows[0] || []).map((h) => String(h).trim());
+
+  const rowIdIdx = header.indexOf("row_id");
+  if (rowIdIdx < 0) throw new Error("Inference result has no row_id column");
+
+  const columns = header
+    .map((name, idx) => ({ name, idx }))
+    .filter((c) => c.name && !CANONICAL_COLUMNS.includes(c.name));
+
+  const byRowId = new Map();
+  for (const row of rows.slice(1)) {
+    const rowId = Number(row[rowIdIdx]);
+    if (Number.isInteger(rowId))
+      byRowId.set(rowId, columns.map((c) => row[c.idx] ?? ""));
+  }
+  return { columns, byRowId };
+}
+
+function setCell(ws, r, c, v) {
+  if (v === "" || v == null) return;
+  ws[XLSX.utils.encode_cell({ r, c })] =
+    typeof v === "number" ? { t: "n", v } : { t: "s", v: String(v) };
+}
+
+function uniqueSheetName(wb, name) {
+  let candidate = name;
+  for (let i = 2; wb.SheetNames.includes(candidate); i++)
+    candidate = `${name} (${i})`;
+  return candidate;
+}
+
+function summaryRows({ jobId, models, sheet, inputRows, columns, values }) {
+  const predicted = values.length;
+  const rows = [
+    ["Job", jobId],
+    ["Models", models.map((m) => m.title).join(", ")],
+    ["Sheet", sheet],
+    ["Input rows", inputRows],
+    ["Rows with predictions", predicted],
+    ["Rows without predictions", Math.max(0, inputRows - predicted)],
+    [],
+    ["Model", "Value", "Count", "Share"],
+  ];
+
+  columns.forEach((col, i) => {
+    const counts = new Map();
+    for (const v of values) {
+      const key = String(v[i] ?? "").trim() || "(empty)";
+      counts.set(key, (counts.get(key) || 0) + 1);
+    }
+    const title = models.find((m) => m.id === col.name)?.title || col.name;
+    Array.from(counts)
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .forEach(([value, count]) =>
+        rows.push([
+          title,
+          value,
+          count,
+          predicted ? Math.round((count / predicted) * 1000) / 1000 : 0,
+        ])
+      );
+  });
+  return rows;
+}
+
+/**
+ * Добавляет колонки предсказаний справа на исходный лист (по row_id — номеру
+ * строки Excel) и лист Summary; остальные листы и оформление не трогаем.
+ * models: [{ id, title }]. Возвращает xlsx-буфер.
+ */
+function mergePredictions({
+  original,
+  predicted,
+  sheet,
+  headerRow,
+  jobId,
+  models,
+  inputRows,
+}) {
+  const wb = XLSX.read(original, { type: "buffer", cellStyles: true });
+  const ws = wb.Sheets[sheet];
+  if (!ws) throw new Error(`Sheet not found: ${sheet}`);
+
+  const { columns, byRowId } = readPredictions(predicted);
+  const range = XLSX.utils.decode_range(ws["!ref"] || "A1");
+  const firstCol = range.e.c + 1;
+
+  columns.forEach((col, i) =>
+    setCell(ws, headerRow - 1, firstCol + i, col.name)
+  );
+  for (const [rowId, values] of byRowId) {
+    values.forEach((v, i) => setCell(ws, rowId - 1, firstCol + i, v));
+    range.e.r = Math.max(range.e.r, rowId - 1);
+  }
+  range.e.c = Math.max(range.e.c, firstCol + columns.length - 1);
+  ws["!ref"] = XLSX.utils.encode_range(range);
+
+  XLSX.utils.book_append_sheet(
+    wb,
+    XLSX.utils.aoa_to_sheet(
+      summaryRows({
+        jobId,
+        models,
+        sheet,
+        inputRows,
+        columns,
+        values: Array.from(byRowId.values()),
+      })
+    ),
+    uniqueSheetName(wb, SUMMARY_SHEET)
+  );
+
+  return XLSX.write(wb, { type: "buffer", bookType: "xlsx", cellStyles: true });
+}
+
+module.exports = { mergePredictions };
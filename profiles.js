@@ -0,0 +1,122 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const { dataPath, ensureDir, readJson, writeJsonAtomic } = require("./store");
+const { matchKey } = require("./matching");
+
+// Профили маппинга: подтверждённый маппинг для шаблона поставщика,
+// ключ — отпечаток набора заголовков (порядок колонок и регистр не важны).
+
+const profiles = new Map();
+
+function profilesDir() {
+  return dataPath("profiles");
+}
+
+function profileFile(id) {
+  return path.join(profilesDir(), `${id}.json`);
+}
+
+function persist(profile) {
+  writeJsonAtomic(profileFile(profile.id), profile);
+}
+
+function now() {
+  return new Date().toISOString();
+}
+
+function loadProfiles() {
+  profiles.clear();
+  const dir = ensureDir(profilesDir());
+
+  for (const name of fs.readdirSync(dir)) {
+    if (!name.endsWith(".json")) continue;
+    const profile = readJson(path.join(dir, name), null);
+    if (profile?.id) profiles.set(profile.id, profile);
+  }
+  return profiles.size;
+}
+
+/** sha256 от отсортированного набора нормализованных заголовков */
+function fingerprint(columns) {
+  const keys = Array.from(new Set(columns.map(matchKey).filter(Boolean)));
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify(keys.sort()))
+    .digest("hex");
+}
+
+function findByFingerprint(clientId, fp) {
+  for (const p of profiles.values())
+    if (p.clientId === clientId && p.fingerprint === fp) return p;
+  return null;
+}
+
+function findByName(clientId, name) {
+  for (const p of profiles.values())
+    if (p.clientId === clientId && p.name === name) return p;
+  return null;
+}
+
+/** Создаёт профиль или обновляет существующий с тем же отпечатком */
+function saveProfile({ clientId, name, columns, mapping }) {
+  const fp = fingerprint(columns);
+  const at = now();
+  const existing = findByFingerprint(clientId, fp);
+
+  const profile = existing
+    ? Object.assign(existing, { name, mapping, updatedAt: at })
+    : {
+        id: "prof_" + crypto.randomBytes(8).toString("hex"),
+        clientId,
+        name,
+        fingerprint: fp,
+        columns,
+        mapping,
+        createdAt: at,
+        updatedAt: at,
+      };
+
+  profiles.set(profile.id, profile);
+  persist(profile);
+  return profile;
+}
+
+function getProfile(id) {
+  return profiles.get(id) || null;
+}
+
+function listProfiles({ clientId } = {}) {
+  return Array.from(profiles.values())
+    .filter((p) => !clientId || p.clientId === clientId)
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function renameProfile(id, name) {
+  const profile = profiles.get(id);
+  if (!profile) return null;
+  Object.assign(profile, { name, updatedAt: now() });
+  persist(profile);
+  return profile;
+}
+
+function deleteProfile(id) {
+  if (!profiles.delete(id)) return false;
+  fs.rmSync(profileFile(id), { force: true });
+  return true;
+}
+
+module.exports = {
+  loadProfiles,
+  fingerprint,
+  findByFingerprint,
+  findByName,
+  saveProfile,
+  getProfile,
+  listProfiles,
+  renameProfile,
+  deleteProfile,
+};
@@ -0,0 +1,113 @@
+"use strict";
+
+const SAMPLE_SIZE = 10;
+
+function longTextLimit() {
+  return Number(process.env.QUALITY_LONG_TEXT_CHARS || 2000);
+}
+
+/**
+ * Ячейка с картинками может содержать несколько URL через пробел, ; или |.
+ * Запятая — разделитель, только если за ней начинается следующий URL:
+ * в самих URL она встречается (CDN-трансформации вида w_500,h_500).
+ */
+function splitUrls(value) {
+  return String(value ?? "")
+    .split(/\s*,\s*(?=https?:\/\/)|[\s;|]+/i)
+    .map((u) => u.trim())
+    .filter(Boolean);
+}
+
+function isHttpUrl(s) {
+  try {
+    const u = new URL(s);
+    return (u.protocol === "http:" || u.protocol === "https:") && !!u.host;
+  } catch {
+    return false;
+  }
+}
+
+function counter() {
+  return { count: 0, sampleRows: [] };
+}
+
+function hit(item, rowNumber) {
+  item.count++;
+  if (item.sampleRows.length < SAMPLE_SIZE) item.sampleRows.push(rowNumber);
+}
+
+function isEmpty(v) {
+  return String(v ?? "").trim() === "";
+}
+
+/**
+ * Отчёт о качестве данных под сопоставленными колонками.
+ * table: { header: string[], rows: [{ rowNumber, cells }] } — см. sheetTable в server.js;
+ * mapping: { product_images, title, description, bullet_points[] } с именами колонок.
+ * Проверки по несопоставленным полям возвращают null.
+ */
+function buildQualityReport(table, mapping, normalize) {
+  const indexOf = (col) => {
+    if (!col) return -1;
+    return table.header.findIndex((h) => normalize(h) === normalize(col));
+  };
+
+  const imagesIdx = indexOf(mapping.product_images);
+  const titleIdx = indexOf(mapping.title);
+  const descriptionIdx = indexOf(mapping.description);
+  const bullets = (mapping.bullet_points || [])
+    .map((col) => ({ col, idx: indexOf(col), filled: 0 }))
+    .filter((b) => b.idx >= 0);
+
+  const emptyTitle = titleIdx >= 0 ? counter() : null;
+  const emptyDescription = descriptionIdx >= 0 ? counter() : null;
+  const emptyImages = imagesIdx >= 0 ? counter() : null;
+  const invalidImageUrls = imagesIdx >= 0 ? counter() : null;
+  const duplicateTitles = titleIdx >= 0 ? counter() : null;
+  const longTextCells = { ...counter(), limit: longTextLimit() };
+
+  const seenTitles = new Set();
+
+  for (const { rowNumber, cells } of table.rows) {
+    if (titleIdx >= 0) {
+      const title = cells[titleIdx];
+      if (isEmpty(title)) hit(emptyTitle, rowNumber);
+      else {
+        const key = normalize(title);
+        if (seenTitles.has(key)) hit(duplicateTitles, rowNumber);
+        else seenTitles.add(key);
+      }
+    }
+
+    if (descriptionIdx >= 0 && isEmpty(cells[descriptionIdx]))
+      hit(emptyDescription, rowNumber);
+
+    if (imagesIdx >= 0) {
+      const urls = splitUrls(cells[imagesIdx]);
+      if (!urls.length) hit(emptyImages, rowNumber);
+      else if (!urls.every(isHttpUrl)) hit(invalidImageUrls, rowNumber);
+    }
+
+    for (const b of bullets) {
+      if (!isEmpty(cells[b.idx])) b.filled++;
+    }
+
+    if (cells.some((v) => String(v ?? "").length > longTextCells.limit))
+      hit(longTextCells, rowNumber);
+  }
+
+  const emptyColumns = bullets.filter((b) => b.filled === 0).map((b) => b.col);
+
+  return {
+    totalRows: table.rows.length,
+    emptyTitle,
+    emptyDescription,
+    emptyImages,
+    invalidImageUrls,
+    duplicateTitles,
+    emptyBulletColumns: { count: emptyColumns.length, columns: emptyColumns },
+    longTextCells,
+  };
+}
+
+module.exports = { buildQualityReport, splitUrls };
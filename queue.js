@@ -0,0 +1,116 @@
+"use strict";
+
+// Очередь jobs внутри процесса: не больше INFERENCE_CONCURRENCY одновременно,
+// FIFO внутри одного отправителя и round-robin между отправителями,
+// чтобы одна большая пачка не блокировала всех остальных.
+
+const metrics = require("./metrics");
+const { logger } = require("./logger");
+
+const lanes = new Map(); // submitter -> [{ id, run }]
+const order = []; // отправители с ожидающими jobs, в порядке обслуживания
+let running = 0;
+let queued = 0;
+
+metrics.gaugeFrom(
+  "mlparser_queue_depth",
+  "Jobs waiting in the inference queue",
+  () => queued
+);
+metrics.gaugeFrom(
+  "mlparser_queue_running",
+  "Jobs currently running inference",
+  () => running
+);
+
+function concurrency() {
+  return Math.max(1, Number(process.env.INFERENCE_CONCURRENCY || 2));
+}
+
+function maxDepth() {
+  return Number(process.env.QUEUE_MAX_DEPTH || 50);
+}
+
+function isFull() {
+  return queued >= maxDepth();
+}
+
+/** Секунды для Retry-After при переполненной очереди */
+function retryAfterSeconds() {
+  return Number(process.env.QUEUE_RETRY_AFTER_SECONDS || 60);
+}
+
+function takeNext() {
+  const submitter = order.shift();
+  const lane = lanes.get(submitter);
+  const item = lane.shift();
+  // отправитель уходит в конец круга, если у него ещё что-то есть
+  if (lane.length) order.push(submitter);
+  else lanes.delete(submitter);
+  queued--;
+  return item;
+}
+
+function pump() {
+  while (running < concurrency() && order.length) {
+    const item = takeNext();
+    running++;
+    Promise.resolve()
+      .then(item.run)
+      .catch((e) =>
+        logger.error("Queued job crashed", { jobId: item.id, error: e })
+      )
+      .finally(() => {
+        running--;
+        pump();
+      });
+  }
+}
+
+/** Ставит job в очередь; проверять isFull() нужно до создания job */
+function enqueue({ id, submitter, run }) {
+  if (!lanes.has(submitter)) {
+    lanes.set(submitter, []);
+    order.push(submitter);
+  }
+  lanes.get(submitter).push({ id, run });
+  queued++;
+  pump();
+}
+
+/** Убирает ещё не запущенный job из очереди; false, если его там нет */
+function remove(id) {
+  for (const [submitter, lane] of lanes) {
+    const i = lane.findIndex((item) => item.id === id);
+    if (i < 0) continue;
+    lane.splice(i, 1);
+    if (!lane.length) {
+      lanes.delete(submitter);
+      order.splice(order.indexOf(submitter), 1);
+    }
+    queued--;
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Позиция job в очереди (1 — следующий на запуск) с учётом round-robin;
+ * null, если job уже запущен или не в очереди.
+ */
+function position(id) {
+  let pos = 0;
+  for (let round = 0; ; round++) {
+    let any = false;
+    for (const submitter of order) {
+      const item = lanes.get(submitter)[round];
+      if (!item) continue;
+      any = true;
+      pos++;
+      if (item.id === id) return pos;
+    }
+    if (!any) return null;
+  }
+}
+
+module.exports = { enqueue, remove, isFull, retryAfterSeconds, position };
@@ -0,0 +1,149 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const { dataPath, ensureDir } = require("./store");
+const jobs = require("./jobs");
+const { logger } = require("./logger");
+
+let secret;
+
+function ttlMs() {
+  return Number(process.env.RESULT_TTL_HOURS || 72) * 60 * 60 * 1000;
+}
+
+/**
+ * Ключ подписи ссылок: RESULT_LINK_SECRET, а если он не задан — случайный ключ,
+ * сохранённый в DATA_DIR (чтобы ссылки переживали перезапуск).
+ */
+function linkSecret() {
+  if (secret) return secret;
+  if (process.env.RESULT_LINK_SECRET) {
+    secret = process.env.RESULT_LINK_SECRET;
+    return secret;
+  }
+
+  const file = dataPath("result-link.secret");
+  try {
+    secret = fs.readFileSync(file, "utf-8").trim();
+  } catch {
+    ensureDir(path.dirname(file));
+    secret = crypto.randomBytes(32).toString("hex");
+    fs.writeFileSync(file, secret, { mode: 0o600 });
+  }
+  return secret;
+}
+
+function resultFile(jobId) {
+  return dataPath("results", `${jobId}.xlsx`);
+}
+
+// scope отделяет токены разного назначения: токен потока событий
+// не должен открывать скачивание результата, и наоборот
+function signature(jobId, expiresAt, scope) {
+  const payload = scope
+    ? `${scope}:${jobId}.${expiresAt}`
+    : `${jobId}.${expiresAt}`;
+  return crypto
+    .createHmac("sha256", linkSecret())
+    .update(payload)
+    .digest("base64url");
+}
+
+/** Токен ссылки: "<expiresAt ms>.<hmac>" */
+function signToken(jobId, expiresAt, scope) {
+  return `${expiresAt}.${signature(jobId, expiresAt, scope)}`;
+}
+
+/** "ok" | "invalid" | "expired"; scope — тот же, что при подписи */
+function verifyToken(jobId, token, scope) {
+  const [exp, sig] = String(token || "").split(".");
+  const expiresAt = Number(exp);
+  if (!expiresAt || !sig) return "invalid";
+
+  const expected = Buffer.from(signature(jobId, expiresAt, scope));
+  const given = Buffer.from(sig);
+  if (
+    expected.length !== given.length ||
+    !crypto.timingSafeEqual(expected, given)
+  )
+    return "invalid";
+
+  return expiresAt <= Date.now() ? "expired" : "ok";
+}
+
+/** Сохраняет результат на диск; возвращает метаданные для job.result */
+function saveResult(jobId, buffer, filename) {
+  const file = resultFile(jobId);
+  ensureDir(path.dirname(file));
+  fs.writeFileSync(file, buffer);
+
+  return {
+    filename,
+    size: buffer.length,
+    expiresAt: new Date(Date.now() + ttlMs()).toISOString(),
+    deleted: false,
+  };
+}
+
+function resultPath(jobId) {
+  const file = resultFile(jobId);
+  return fs.existsSync(file) ? file : null;
+}
+
+function downloadUrl(baseUrl, jobId, result) {
+  const token = signToken(jobId, Date.parse(result.expiresAt));
+  return `${baseUrl}/api/jobs/${encodeURIComponent(jobId)}/result?token=${token}`;
+}
+
+function eventsTokenTtlMs() {
+  return Number(process.env.EVENTS_TOKEN_TTL_SECONDS || 300) * 1000;
+}
+
+/**
+ * Короткоживущий токен для GET /api/jobs/:id/events?token=...: браузерный
+ * EventSource не умеет передавать X-API-Key. Срок проверяется только
+ * при подключении, открытый поток живёт до финального статуса.
+ */
+function eventsToken(jobId) {
+  const expiresAt = Date.now() + eventsTokenTtlMs();
+  return {
+    token: signToken(jobId, expiresAt, "events"),
+    expiresAt: new Date(expiresAt).toISOString(),
+  };
+}
+
+/** Удаляет файлы результатов с истёкшим сроком хранения */
+function sweepResults() {
+  const t = Date.now();
+  let n = 0;
+  for (const job of jobs.listJobs({ limit: Infinity }).items) {
+    if (!job.result || job.result.deleted) continue;
+    if (Date.parse(job.result.expiresAt) > t) continue;
+
+    fs.rmSync(resultFile(job.id), { force: true });
+    jobs.updateJob(job.id, { result: { ...job.result, deleted: true } });
+    n++;
+  }
+  return n;
+}
+
+function startResultSweeper() {
+  const every = Number(process.env.RESULT_SWEEP_INTERVAL_MS || 60 * 60 * 1000);
+  setInterval(() => {
+    const n = sweepResults();
+    if (n) logger.info("Expired results removed", { count: n });
+  }, every).unref();
+  return sweepResults();
+}
+
+module.exports = {
+  saveResult,
+  resultPath,
+  verifyToken,
+  downloadUrl,
+  eventsToken,
+  startResultSweeper,
+};
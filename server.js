@@ -13,36 +13,131 @@ const swaggerUi = require("swagger-ui-express");
 const swaggerJSDoc = require("swagger-jsdoc");
 
 const { sendResultEmail } = require("./mailer");
+const { queueEmail } = require("./mailQueue");
+const webhook = require("./webhook");
+const results = require("./results");
+const emails = require("./emails");
+const auth = require("./auth");
+const config = require("./config");
+const metrics = require("./metrics");
+const audit = require("./audit");
+const { logger, withContext, requestLogger } = require("./logger");
+const queue = require("./queue");
+const matching = require("./matching");
+const jobs = require("./jobs");
+const profiles = require("./profiles");
+const uploads = require("./uploads");
+const formats = require("./formats");
+const { buildQualityReport } = require("./quality");
+const {
+  CANONICAL_SHEET,
+  buildCanonicalWorkbook,
+} = require("./canonical");
+const { mergePredictions } = require("./postprocess");
+const { getProvider, runInference } = require("./inference");
 
 const app = express();
 dotenv.config();
 app.set("trust proxy", 1);
-app.use(cors());
-
-//  Configs
-const reqCfg = JSON.parse(
-  fs.readFileSync(path.join(__dirname, "configs/required.json"), "utf-8")
+app.use(requestLogger);
+// CORS_ORIGINS — список origin через запятую; без него CORS открыт, как раньше
+app.use(
+  cors(
+    process.env.CORS_ORIGINS
+      ? { origin: process.env.CORS_ORIGINS.split(",").map((o) => o.trim()) }
+      : {}
+  )
 );
 
-const modelsCfg = JSON.parse(
-  fs.readFileSync(path.join(__dirname, "configs/models.json"), "utf-8")
-);
+//  Configs (перезагружаются через /api/admin без рестарта)
+let reqCfg;
+let modelsCfg;
+
+function applyConfigs({ required, models }) {
+  reqCfg = required;
+  modelsCfg = models;
+}
+
+try {
+  applyConfigs(config.loadConfigs());
+} catch (e) {
+  logger.error("Invalid config", { error: e.message, details: e.details });
+  process.exit(1);
+}
+
+//  Jobs
+const { loaded: jobsLoaded, interrupted } = jobs.loadJobs();
+logger.info("Startup", {
+  jobs: jobsLoaded,
+  interruptedJobs: interrupted.length,
+  profiles: profiles.loadProfiles(),
+  staleUploadsRemoved: uploads.cleanTmpDir(),
+  expiredResultsRemoved: results.startResultSweeper(),
+  inferenceProvider: getProvider().name,
+  apiClients: auth.loadApiKeys(),
+});
 
 //  Upload
+function uploadMaxBytes() {
+  return Number(process.env.UPLOAD_MAX_BYTES || 200 * 1024 * 1024); // 200MB
+}
+
+// файлы пишутся во временный каталог, а не в память; читаем их только когда нужно
 const upload = multer({
-  storage: multer.memoryStorage(),
-  limits: { fileSize: 15 * 1024 * 1024 }, // 15MB исходный файл (base64 будет больше!)
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => cb(null, uploads.tmpDir()),
+    filename: uploads.uploadFilename,
+  }),
+  limits: {
+    fileSize: uploadMaxBytes(),
+  },
   fileFilter: (req, file, cb) => {
-    const ok =
-      file.mimetype ===
-        "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet" ||
-      file.mimetype === "application/vnd.ms-excel" ||
-      file.originalname.toLowerCase().endsWith(".xlsx") ||
-      file.originalname.toLowerCase().endsWith(".xls");
-    cb(ok ? null : new Error("Only Excel files (.xlsx/.xls) are allowed"), ok);
+    if (formats.isAccepted(file)) return cb(null, true);
+    const err = new Error(
+      "Only .xlsx, .xls, .ods, .csv and .tsv files are allowed"
+    );
+    err.code = "UNSUPPORTED_FILE_TYPE";
+    cb(err, false);
   },
 });
 
+// ошибки загрузки — JSON с кодом 413/400, а не HTML-страница 500
+function uploadFile(req, res, next) {
+  upload.single("file")(req, res, (err) => {
+    if (!err) return next();
+    if (err.code === "LIMIT_FILE_SIZE")
+      return res.status(413).json({
+        error: "File is too large",
+        details: `Max upload size is ${uploadMaxBytes()} bytes`,
+      });
+    if (err.code === "UNSUPPORTED_FILE_TYPE")
+      return res.status(400).json({ error: err.message });
+    // лишние файлы, слишком много полей и т.п.
+    if (err instanceof multer.MulterError)
+      return res.status(400).json({ error: "Bad upload", details: err.message });
+    next(err);
+  });
+}
+
+// CSV/TSV/ODS/XLS приводим к XLSX сразу после загрузки
+function prepareUpload(file) {
+  const source = fs.readFileSync(file.path);
+  const { buffer, format } = formats.toCanonicalXlsx(source, file.originalname);
+  metrics.uploadSize.observe({ format: format.type }, source.length);
+  return {
+    buffer,
+    // хэш исходного файла (до конвертации) — для аудита
+    sha256: crypto.createHash("sha256").update(source).digest("hex"),
+    sourceSize: source.length,
+    // XLSX не менялся — его можно не переписывать, а сослаться на исходный файл
+    sourcePath: buffer === source ? file.path : null,
+    originalname: formats.canonicalFilename(file.originalname),
+    mimetype:
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    format,
+  };
+}
+
 // Helpers: parsing + mapping
 function norm(s) {
   return String(s ?? "")
@@ -63,95 +158,193 @@ function safeJsonParse(str, fallback) {
   }
 }
 
-function extractColumnsFromFirstSheet(buffer) {
-  const wb = XLSX.read(buffer, { type: "buffer" });
-  const sheet = wb.Sheets[wb.SheetNames[0]];
-  const aoa = XLSX.utils.sheet_to_json(sheet, {
+const HEADER_SCAN_ROWS = 30;
+// пороги похожести заголовка на алиас (0..1)
+const AUTO_MAP_MIN_CONFIDENCE = 0.7;
+const CANDIDATE_MIN_CONFIDENCE = 0.4;
+
+function readWorkbook(buffer) {
+  return XLSX.read(buffer, { type: "buffer" });
+}
+
+// строки листа как есть, вместе с пустыми, чтобы номер строки совпадал с Excel
+function sheetRows(sheet) {
+  if (!sheet || !sheet["!ref"]) return { firstRow: 1, rows: [] };
+  const range = XLSX.utils.decode_range(sheet["!ref"]);
+  const rows = XLSX.utils.sheet_to_json(sheet, {
     header: 1,
     defval: "",
     raw: false,
-    blankrows: false,
+    blankrows: true,
   });
+  return { firstRow: range.s.r + 1, rows };
+}
 
-  // first non-empty row as headers
-  let headerRow = 0;
-  for (let i = 0; i < aoa.length; i++) {
-    if ((aoa[i] || []).some((v) => norm(v) !== "")) {
-      headerRow = i;
-      break;
-    }
+/** Заголовок и непустые строки данных под ним; rowNumber — номер строки в Excel */
+function sheetTable(sheet, headerRow) {
+  const { firstRow, rows } = sheetRows(sheet);
+  const header = (rows[headerRow - firstRow] || []).map((v) =>
+    String(v).trim()
+  );
+
+  const data = [];
+  for (let i = headerRow - firstRow + 1; i < rows.length; i++) {
+    const cells = rows[i] || [];
+    if (cells.some((v) => norm(v) !== ""))
+      data.push({ rowNumber: firstRow + i, cells });
   }
+  return { header, rows: data };
+}
 
-  return (aoa[headerRow] || []).map((v) => String(v).trim()).filter(Boolean);
+function headerScore(row) {
+  const aliases = Object.values(reqCfg.aliases || {}).flat();
+
+  let score = 0;
+  for (const v of row || []) {
+    const n = norm(v);
+    if (!n) continue;
+    if (/^[\d .,]+$/.test(n)) continue; // числа — это данные, а не заголовки
+    score += 1;
+    if (n.length > 60) continue; // длинный текст — это данные
+    if (matching.bestScore(v, aliases) >= AUTO_MAP_MIN_CONFIDENCE) score += 2;
+  }
+  return score;
 }
 
-function autoMap(headers) {
-  const headersInfo = headers
-    .map((h) => ({ raw: String(h).trim(), n: norm(h) }))
-    .filter((h) => h.raw);
+/** Номер строки заголовков (1-based, как в Excel): строка с наибольшим score среди первых строк */
+function guessHeaderRow(sheet) {
+  const { firstRow, rows } = sheetRows(sheet);
+
+  let best = null;
+  for (let i = 0; i < Math.min(rows.length, HEADER_SCAN_ROWS); i++) {
+    const score = headerScore(rows[i]);
+    if (score > 0 && (!best || score > best.score))
+      best = { row: firstRow + i, score };
+  }
+  return best ? best : { row: firstRow, score: 0 };
+}
 
-  function findOne(key) {
-    const aliases = (reqCfg.aliases?.[key] || []).map(norm);
+function columnsAt(sheet, headerRow) {
+  const { firstRow, rows } = sheetRows(sheet);
+  return (rows[headerRow - firstRow] || [])
+    .map((v) => String(v).trim())
+    .filter(Boolean);
+}
 
-    const exact = headersInfo.find((h) => aliases.includes(h.n));
-    if (exact) return exact.raw;
+/** Все листы книги с догадкой о строке заголовков для каждого */
+function inspectSheets(wb) {
+  return wb.SheetNames.map((name) => {
+    const guess = guessHeaderRow(wb.Sheets[name]);
+    return {
+      name,
+      headerRow: guess.row,
+      score: guess.score,
+      columns: columnsAt(wb.Sheets[name], guess.row),
+    };
+  });
+}
 
-    const partial = headersInfo.find((h) =>
-      aliases.some((a) => h.n.includes(a))
+/**
+ * Выбор листа и строки заголовков. Без явного sheet берём лист с лучшим
+ * заголовком (обычно это пропускает вкладки с инструкциями).
+ */
+function resolveSheet(wb, { sheet, headerRow } = {}) {
+  const sheets = inspectSheets(wb);
+
+  let selected;
+  if (sheet != null && sheet !== "") {
+    selected = sheets.find((s) => s.name === String(sheet));
+    if (!selected) throw new Error(`Sheet not found: ${sheet}`);
+  } else {
+    selected = sheets.reduce(
+      (best, s) => (s.score > best.score ? s : best),
+      sheets[0]
     );
-    return partial ? partial.raw : null;
   }
 
-  function findMany(key) {
-    const aliases = (reqCfg.aliases?.[key] || []).map(norm);
-    const hits = headersInfo
-      .filter((h) => aliases.some((a) => h.n === a || h.n.includes(a)))
-      .map((h) => h.raw);
-    return Array.from(new Set(hits));
+  let row = selected.headerRow;
+  if (headerRow != null && headerRow !== "") {
+    row = Number(headerRow);
+    if (!Number.isInteger(row) || row < 1)
+      throw new Error(`Invalid headerRow: ${headerRow}`);
   }
 
-  const mapping = {
-    product_images: findOne("product_images"),
-    title: findOne("title"),
-    description: findOne("description"),
-    bullet_points: findMany("bullet_points"),
+  return {
+    sheets: sheets.map(({ name, headerRow }) => ({ name, headerRow })),
+    sheet: selected.name,
+    headerRow: row,
+    columns: columnsAt(wb.Sheets[selected.name], row),
   };
+}
 
-  const missing = [];
-  if (!mapping.product_images) missing.push("product_images");
-  if (!mapping.title) missing.push("title");
-  if (!mapping.description) missing.push("description");
-  if (!mapping.bullet_points || mapping.bullet_points.length === 0)
-    missing.push("bullet_points");
+/**
+ * Автомаппинг по похожести заголовков на алиасы (см. matching.js).
+ * Одиночные поля получают разные колонки — сначала самые уверенные пары;
+ * в bullet_points идут все оставшиеся подходящие колонки по порядку.
+ * confidence — от 0 до 1 для каждого поля (для bullet_points — по колонке).
+ */
+function autoMap(headers) {
+  const raws = Array.from(
+    new Set(headers.map((h) => String(h).trim()).filter(Boolean))
+  );
+  const scores = {};
+  for (const key of reqCfg.required)
+    scores[key] = raws.map((raw) => ({
+      raw,
+      score: matching.bestScore(raw, reqCfg.aliases?.[key]),
+    }));
+
+  // только поля из configs/required.json: список можно сузить через /api/admin
+  const mapping = {};
+  const confidence = {};
+  for (const key of reqCfg.required) {
+    mapping[key] = key === "bullet_points" ? [] : null;
+    confidence[key] = key === "bullet_points" ? [] : null;
+  }
+  const used = new Set();
+
+  const pairs = reqCfg.required
+    .filter((key) => key !== "bullet_points")
+    .flatMap((key) => scores[key].map((x) => ({ key, ...x })))
+    .filter((x) => x.score >= AUTO_MAP_MIN_CONFIDENCE)
+    .sort((a, b) => b.score - a.score);
+  for (const { key, raw, score } of pairs) {
+    if (mapping[key] || used.has(raw)) continue;
+    mapping[key] = raw;
+    confidence[key] = score;
+    used.add(raw);
+  }
 
-  return { mapping, missing };
-}
+  for (const { raw, score } of scores.bullet_points || []) {
+    if (used.has(raw) || score < AUTO_MAP_MIN_CONFIDENCE) continue;
+    mapping.bullet_points.push(raw);
+    confidence.bullet_points.push(score);
+  }
 
-function candidatesFor(headers, key, limit = 10) {
-  const aliases = (reqCfg.aliases?.[key] || []).map(norm);
-
-  const scored = headers
-    .map((h) => {
-      const hn = norm(h);
-      let score = 0;
-
-      if (aliases.includes(hn)) score = 3;
-      else if (aliases.some((a) => hn.includes(a))) score = 2;
-      else {
-        const tokens = aliases.flatMap((a) => a.split(" ")).filter(Boolean);
-        if (tokens.some((t) => hn.includes(t))) score = 1;
-      }
+  const missing = reqCfg.required.filter((key) =>
+    key === "bullet_points" ? !mapping.bullet_points.length : !mapping[key]
+  );
 
-      return { header: h, score };
-    })
-    .filter((x) => x.score > 0)
-    .sort((a, b) => b.score - a.score || a.header.localeCompare(b.header))
-    .map((x) => x.header);
+  return { mapping, confidence, missing };
+}
 
-  return Array.from(new Set(scored)).slice(0, limit);
+/** Колонки, похожие на поле key, по убыванию confidence */
+function candidatesFor(headers, key, limit = 10) {
+  return Array.from(new Set(headers))
+    .map((column) => ({
+      column,
+      confidence: matching.bestScore(column, reqCfg.aliases?.[key]),
+    }))
+    .filter((x) => x.confidence >= CANDIDATE_MIN_CONFIDENCE)
+    .sort(
+      (a, b) => b.confidence - a.confidence || a.column.localeCompare(b.column)
+    )
+    .slice(0, limit);
 }
 
-function validateMapping(mapping, columns) {
+// fields — поля, которые нужны выбранным моделям; остальные можно не маппить,
+// но если колонка для них указана, она должна существовать
+function validateMapping(mapping, columns, fields = reqCfg.required) {
   const normToRaw = new Map();
   for (const c of columns) normToRaw.set(norm(c), c);
 
@@ -162,145 +355,509 @@ function validateMapping(mapping, columns) {
 
   const errors = [];
 
-  const product_images = exists(mapping.product_images);
-  if (!product_images) errors.push(`Mapped column not found: ${mapping.product_images}`);
-
-  const title = exists(mapping.title);
-  if (!title) errors.push(`Mapped column not found: ${mapping.title}`);
-
-  const description = exists(mapping.description);
-  if (!description) errors.push(`Mapped column not found: ${mapping.description}`);
+  for (const key of ["product_images", "title", "description"]) {
+    if (!fields.includes(key) && !mapping[key]) continue;
+    if (!exists(mapping[key]))
+      errors.push(
+        mapping[key]
+          ? `Mapped column not found: ${mapping[key]}`
+          : `Required field is not mapped: ${key}`
+      );
+  }
 
   const bpInput = Array.isArray(mapping.bullet_points)
     ? mapping.bullet_points
     : mapping.bullet_points ? [mapping.bullet_points] : [];
 
   const bullet_points = bpInput.map(exists).filter(Boolean);
-  if (!bullet_points.length) errors.push(`Mapped bullet_points column not found: ${bpInput.join(", ")}`);
+  if (bpInput.length && !bullet_points.length)
+    errors.push(`Mapped bullet_points column not found: ${bpInput.join(", ")}`);
+  else if (fields.includes("bullet_points") && !bpInput.length)
+    errors.push("Required field is not mapped: bullet_points");
 
   return { ok: errors.length === 0, errors, bullet_points };
 }
 
+// поля, которые нужны хотя бы одной из выбранных моделей
+function requiredFieldsFor(modelIds) {
+  const needed = new Set(
+    modelIds.flatMap(
+      (id) => modelsCfg.find((m) => m.id === id)?.requiredFields || []
+    )
+  );
+  return reqCfg.required.filter((f) => needed.has(f));
+}
 
-function sleep(ms) {
-  return new Promise((r) => setTimeout(r, ms));
+const PROFILE_NAME_MAX = 100;
+
+// только канонические поля — в профиль не должно попасть лишнее из запроса
+function pickMapping(mapping) {
+  const out = {};
+  for (const key of reqCfg.required)
+    out[key] =
+      key === "bullet_points"
+        ? [].concat(mapping[key] || [])
+        : mapping[key] || null;
+  return out;
 }
 
-function isRetryableFetchError(err) {
-  const msg = String(err?.message || "").toLowerCase();
-  return (
-    msg.includes("fetch failed") ||
-    msg.includes("socket") ||
-    msg.includes("econnreset") ||
-    msg.includes("etimedout") ||
-    msg.includes("timeout") ||
-    msg.includes("network") ||
-    msg.includes("undici")
+/** Маппинг из сохранённого профиля в формате autoMap (колонки — как в файле) */
+function profileMapping(profile, columns) {
+  const normToRaw = new Map(columns.map((c) => [norm(c), c]));
+  const resolve = (col) => (col && normToRaw.get(norm(col))) || null;
+
+  const mapping = {};
+  const confidence = {};
+  for (const key of reqCfg.required) {
+    if (key === "bullet_points") {
+      mapping[key] = []
+        .concat(profile.mapping[key] || [])
+        .map(resolve)
+        .filter(Boolean);
+      confidence[key] = mapping[key].map(() => 1);
+    } else {
+      mapping[key] = resolve(profile.mapping[key]);
+      confidence[key] = mapping[key] ? 1 : null;
+    }
+  }
+  const missing = reqCfg.required.filter((key) =>
+    key === "bullet_points" ? !mapping[key].length : !mapping[key]
   );
+  return { mapping, confidence, missing };
 }
 
-async function fetchJsonWithRetry(
-  url,
-  options,
-  {
-    retries = 5,
-    timeoutMs = 60 * 60 * 1000, // 60 minutes
-    baseDelayMs = 2000,
-    maxDelayMs = 60_000,
-  } = {}
-) {
-  let lastErr;
-
-  for (let attempt = 1; attempt <= retries; attempt++) {
-    const controller = new AbortController();
-    const t = setTimeout(() => controller.abort(), timeoutMs);
+function publicProfile(p) {
+  const { clientId, ...rest } = p;
+  return rest;
+}
 
-    try {
-      const r = await fetch(url, { ...options, signal: controller.signal });
+function modelParamsFor(modelIds) {
+  const out = {};
+  for (const id of modelIds) {
+    const params = modelsCfg.find((m) => m.id === id)?.params;
+    if (params && Object.keys(params).length) out[id] = params;
+  }
+  return out;
+}
 
-      const text = await r.text();
 
-      if (!r.ok) {
-        const err = new Error(`HTTP ${r.status}: ${text}`);
-        err.httpStatus = r.status;
-        throw err;
-      }
+// База для ссылок в письмах и webhook: PUBLIC_BASE_URL или адрес запроса
+function publicBaseUrl(req) {
+  const base =
+    process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get("host")}`;
+  return base.replace(/\/+$/, "");
+}
 
-      const data = JSON.parse(text);
-      return data;
-    } catch (e) {
-      lastErr = e;
+// Job pipeline: inference -> email, failures -> user + operator
+// причина для пользователя: код, который шаблон письма переводит в текст
+function describeFailure(e) {
+  const msg = String(e?.message || e || "");
+  const httpStatus = e?.httpStatus;
+  if (e?.name === "AbortError" || /timeout|etimedout/i.test(msg))
+    return { code: "timeout" };
+  if (httpStatus === 429) return { code: "overloaded" };
+  if (httpStatus >= 500) return { code: "upstream", httpStatus };
+  if (httpStatus) return { code: "rejected", httpStatus };
+  if (/INFERENCE_API_KEY/.test(msg)) return { code: "notConfigured" };
+  return { code: "unexpected" };
+}
 
-      const status = e?.httpStatus;
-      const retryableHttp = status && (status === 429 || status >= 500); // 429/5xx
-      const retryableNet = isRetryableFetchError(e) || e?.name === "AbortError";
+function modelTitles(ids) {
+  return (ids || []).map(
+    (id) => modelsCfg.find((m) => m.id === id)?.title || id
+  );
+}
 
-      if (attempt === retries || (!retryableHttp && !retryableNet)) {
-        throw lastErr;
-      }
+// "catalog.csv" -> "catalog-result.xlsx": результат — всегда xlsx
+function resultFilename(filename) {
+  const base = path.basename(filename || "input", path.extname(filename || ""));
+  return `${base}-result.xlsx`;
+}
 
-      // backoff: 2s, 4s, 8s... + jitter
-      const exp = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempt - 1));
-      const jitter = Math.floor(Math.random() * 500);
-      const wait = exp + jitter;
+function jobDuration(job) {
+  const from = Date.parse(job?.startedAt || job?.createdAt);
+  return Number.isFinite(from) ? Date.now() - from : null;
+}
 
-      console.warn(
-        `Inference attempt ${attempt} failed, retrying in ${wait}ms`,
-        {
-          error: String(e?.message || e),
-          status,
-        }
-      );
+async function sendOperatorAlert({ subject, text }) {
+  if (!process.env.OPERATOR_ALERT_EMAIL) {
+    logger.info("OPERATOR_ALERT_EMAIL not set, skip operator alert");
+    return;
+  }
 
-      await sleep(wait);
-    } finally {
-      clearTimeout(t);
-    }
+  try {
+    await queueEmail(
+      { to: process.env.OPERATOR_ALERT_EMAIL, subject, text },
+      { label: "Operator alert" }
+    );
+  } catch (e) {
+    logger.error("Failed to send operator alert", { error: e });
   }
+}
+
+// POST на callbackUrl job; каждая попытка попадает в job.deliveries
+async function notifyCallback({
+  jobId,
+  callbackUrl,
+  event,
+  status,
+  result,
+}) {
+  if (!callbackUrl) return;
+
+  const job = jobs.getJob(jobId);
+  await webhook.deliverWebhook({
+    url: callbackUrl,
+    payload: {
+      event,
+      jobId,
+      status: status || job.status,
+      models: job.models,
+      nRows: job.nRows,
+      error: job.error,
+      finishedAt: job.finishedAt || new Date().toISOString(),
+      result: result || null,
+    },
+    onAttempt: (entry) =>
+      jobs.logDelivery(jobId, {
+        channel: "webhook",
+        url: callbackUrl,
+        ...entry,
+      }),
+  });
+}
+
+function countFinished(job, outcome) {
+  for (const model of job.models || [])
+    metrics.jobsFinished.inc({ model, outcome });
+}
+
+async function failJob({ jobId, email, callbackUrl, stage, error }) {
+  const reason = describeFailure(error);
+  const technical = String(error?.message || error);
+
+  logger.error(`${stage} failed`, { jobId, stage, error });
+  const job = jobs.updateJob(jobId, {
+    status: "failed",
+    error: `${stage} failed: ${technical}`,
+  });
+  countFinished(job, "failed");
+
+  await Promise.all([
+    sendOperatorAlert({
+      subject: `⚠️ ML Parser job ${jobId} failed (${stage})`,
+      text: [
+        `Job: ${jobId}`,
+        `Stage: ${stage}`,
+        `Recipient: ${email || callbackUrl || "-"}`,
+        `Time: ${new Date().toISOString()}`,
+        "",
+        technical,
+      ].join("\n"),
+    }),
+    notifyFailed({ job, reason }),
+  ]);
+}
 
-  throw lastErr;
+/** Письмо об ошибке пользователю и job.failed на callbackUrl job */
+async function notifyFailed({ job, reason }) {
+  const jobId = job.id;
+  await Promise.all([
+    job.email &&
+      queueEmail(
+        {
+          to: job.email,
+          ...emails.renderEmail("failed", job.locale, {
+            jobId,
+            models: modelTitles(job.models),
+            reason,
+            duration: jobDuration(job),
+          }),
+        },
+        { label: "Failure email" }
+      ).catch(() => {}),
+    notifyCallback({
+      jobId,
+      callbackUrl: job.callbackUrl,
+      event: "job.failed",
+    }).catch((e) => logger.error("Failure webhook failed", { jobId, error: e })),
+  ]);
 }
 
-// Modal inference client
-async function callInferenceModal({ buffer, filename, modelsList }) {
-  const url =
-    process.env.INFERENCE_URL ||
-    "https://dsitdvitamins--test-inference-predict.modal.run";
-  const apiKey = process.env.INFERENCE_API_KEY;
+// jobs, прерванные перезапуском: loadJobs уже пометил их failed,
+// а пользователь и callbackUrl об этом ещё не знают
+function notifyInterrupted(list) {
+  for (const job of list)
+    withContext({ jobId: job.id }, () =>
+      notifyFailed({ job, reason: { code: "interrupted" } })
+    );
+}
 
-  if (!apiKey) throw new Error("INFERENCE_API_KEY is not set");
+/** Результат есть, но один из каналов его не доставил: только алерт оператору */
+async function deliveryFailed({ jobId, channel, error }) {
+  logger.error(`${channel} delivery failed`, { jobId, error });
+  await sendOperatorAlert({
+    subject: `⚠️ ML Parser job ${jobId}: ${channel} not delivered`,
+    text: [
+      `Job: ${jobId}`,
+      `Channel: ${channel}`,
+      `Time: ${new Date().toISOString()}`,
+      "",
+      String(error?.message || error),
+    ].join("\n"),
+  });
+}
 
-  const xlsxBase64 = Buffer.from(buffer).toString("base64");
+// jobs, которые ещё можно отменить (в очереди или на inference)
+const cancellable = new Map(); // jobId -> { controller, inputPath }
+
+/** Отмена job; false, если job уже нельзя отменить (результат доставляется) */
+function cancelJob(job) {
+  const entry = cancellable.get(job.id);
+  if (!entry) return false;
+  cancellable.delete(job.id);
+
+  entry.controller.abort(new Error("Job cancelled"));
+  // ещё не запущен — runJob не вызовется, входной файл удаляем сами
+  if (queue.remove(job.id)) uploads.removeFile(entry.inputPath);
+
+  const updated = jobs.updateJob(job.id, { status: "cancelled" });
+  countFinished(updated, "cancelled");
+  logger.info("Job cancelled", { jobId: job.id });
+
+  if (updated.email)
+    queueEmail(
+      {
+        to: updated.email,
+        ...emails.renderEmail("cancelled", updated.locale, {
+          jobId: updated.id,
+          models: modelTitles(updated.models),
+          duration: jobDuration(updated),
+        }),
+      },
+      { label: "Cancellation email" }
+    ).catch(() => {});
+  notifyCallback({
+    jobId: updated.id,
+    callbackUrl: updated.callbackUrl,
+    event: "job.cancelled",
+  }).catch((e) =>
+    logger.error("Cancellation webhook failed", {
+      jobId: updated.id,
+      error: e,
+    })
+  );
+  return true;
+}
 
-  const payload = {
-    api_key: apiKey,
-    xlsx_base64: xlsxBase64,
-    models_list: modelsList,
-    filename: filename || "input.xlsx",
+/**
+ * Лист для inference: не файл поставщика, а колонки по маппингу.
+ * Отдельная функция, чтобы исходный файл и разобранные строки не жили
+ * в замыкании runJob всё время inference.
+ */
+async function canonicalInput({ inputPath, sheet, headerRow, mapping }) {
+  const input = await fs.promises.readFile(inputPath);
+  const table = sheetTable(readWorkbook(input).Sheets[sheet], headerRow);
+  return {
+    canonical: buildCanonicalWorkbook(table, mapping, norm),
+    rows: table.rows.length,
   };
+}
 
-  const data = await fetchJsonWithRetry(
-    url,
-    {
-      method: "POST",
-      headers: {
-        "content-type": "application/json",
-        accept: "application/json",
-      },
-      body: JSON.stringify(payload),
-    },
-    {
-      retries: Number(process.env.INFERENCE_RETRIES || 5),
-      timeoutMs: Number(process.env.INFERENCE_TIMEOUT_MS || 60 * 60 * 1000), // 60 min
-      baseDelayMs: Number(process.env.INFERENCE_RETRY_BASE_DELAY_MS || 2000),
-      maxDelayMs: Number(process.env.INFERENCE_RETRY_MAX_DELAY_MS || 60_000),
-    }
+async function runJob({
+  jobId,
+  email,
+  callbackUrl,
+  baseUrl,
+  inputPath,
+  filename,
+  models,
+  sheet,
+  headerRow,
+  mapping,
+  locale,
+  signal,
+}) {
+  // письмо о старте не должно блокировать инференс
+  if (email) {
+    queueEmail(
+      {
+        to: email,
+        ...emails.renderEmail("started", locale, {
+          jobId,
+          models: modelTitles(models),
+        }),
+      },
+      { label: "Start email" }
+    ).catch(() => {});
+  }
+
+  let inferenceResp;
+  let inputRows;
+  try {
+    jobs.updateJob(jobId, { status: "inferring" });
+    const { canonical, rows } = await canonicalInput({
+      inputPath,
+      sheet,
+      headerRow,
+      mapping,
+    });
+    inputRows = rows;
+    inferenceResp = await runInference({
+      buffer: canonical,
+      filename,
+      modelsList: models,
+      modelParams: modelParamsFor(models),
+      sheet: CANONICAL_SHEET,
+      headerRow: 1,
+      signal,
+      onProgress: (progress) => jobs.updateJob(jobId, { progress }),
+      onRetry: (info) => jobs.emitJobEvent(jobId, "retry", info),
+    });
+    logger.info("Inference OK", { jobId, nRows: inferenceResp.n_rows });
+  } catch (e) {
+    // отменён — статус и уведомления уже выставил cancelJob
+    uploads.removeFile(inputPath);
+    if (signal.aborted) return;
+    await failJob({ jobId, email, callbackUrl, stage: "Inference", error: e });
+    return;
+  } finally {
+    // inference закончился: дальше результат доставляется и отмена невозможна
+    cancellable.delete(jobId);
+  }
+
+  // слот очереди держим только на inference: сборка книги и доставка
+  // (письмо, webhook с повторами) идут уже без него
+  deliverResult({
+    jobId,
+    email,
+    callbackUrl,
+    baseUrl,
+    inputPath,
+    filename,
+    models,
+    sheet,
+    headerRow,
+    locale,
+    inferenceResp,
+    inputRows,
+  }).catch((e) =>
+    logger.error("Result delivery crashed", { jobId, error: e })
   );
+}
+
+/** Merge предсказаний в исходную книгу, сохранение результата и доставка */
+async function deliverResult({
+  jobId,
+  email,
+  callbackUrl,
+  baseUrl,
+  inputPath,
+  filename,
+  models,
+  sheet,
+  headerRow,
+  locale,
+  inferenceResp,
+  inputRows,
+}) {
+  // предсказания возвращаются в исходную книгу пользователя + лист Summary;
+  // файл читаем заново, а не держим в памяти всё время inference
+  const titles = modelTitles(models);
+  let resultBuf;
+  try {
+    resultBuf = mergePredictions({
+      original: await fs.promises.readFile(inputPath),
+      predicted: Buffer.from(inferenceResp.xlsx_base64, "base64"),
+      sheet,
+      headerRow,
+      jobId,
+      models: models.map((id, i) => ({ id, title: titles[i] })),
+      inputRows,
+    });
+  } catch (e) {
+    await failJob({ jobId, email, callbackUrl, stage: "Merge", error: e });
+    return;
+  } finally {
+    uploads.removeFile(inputPath);
+  }
+  const outName = resultFilename(filename);
+
+  // результат хранится на сервере и отдаётся по подписанной ссылке
+  const result = results.saveResult(jobId, resultBuf, outName);
+  const resultUrl = results.downloadUrl(baseUrl, jobId, result);
+  const job = jobs.updateJob(jobId, {
+    status: callbackUrl ? "delivering" : "emailing",
+    nRows: inferenceResp.n_rows ?? null,
+    result,
+  });
+
+  // каналы независимы: не ушедшее письмо не мешает webhook и наоборот.
+  // Результат уже сохранён, поэтому job завершается как done, а сбой
+  // доставки остаётся в job.deliveries и уходит алертом оператору
+  const sendEmail = async () => {
+    // Gmail не принимает письма больше ~25MB — большие результаты только ссылкой
+    const attach =
+      resultBuf.length <=
+      Number(process.env.EMAIL_ATTACHMENT_MAX_BYTES || 15 * 1024 * 1024);
+
+    await queueEmail(
+      {
+        to: email,
+        ...emails.renderEmail("done", locale, {
+          jobId,
+          models: modelTitles(models),
+          rows: inferenceResp.n_rows,
+          duration: jobDuration(job),
+          downloadUrl: resultUrl,
+          expiresAt: result.expiresAt,
+          attached: attach,
+        }),
+        ...(attach ? { filename: outName, contentBuffer: resultBuf } : {}),
+      },
+      { label: "Result email" }
+    );
+    logger.info("Result email sent", { jobId, email, attached: attach });
+  };
 
-  if (!data?.ok) throw new Error(`Inference ok=false: ${JSON.stringify(data)}`);
-  if (!data.xlsx_base64) throw new Error("Inference missing xlsx_base64");
+  const sendWebhook = async () => {
+    await notifyCallback({
+      jobId,
+      callbackUrl,
+      event: "job.done",
+      status: "done",
+      result: {
+        filename: outName,
+        size: result.size,
+        url: resultUrl,
+        expiresAt: result.expiresAt,
+      },
+    });
+    logger.info("Webhook delivered", { jobId, callbackUrl });
+  };
 
-  return data;
+  await Promise.all([
+    email &&
+      sendEmail().catch((error) => {
+        jobs.logDelivery(jobId, {
+          channel: "email",
+          attempt: 1,
+          at: new Date().toISOString(),
+          status: null,
+          ok: false,
+          error: String(error?.message || error),
+        });
+        return deliveryFailed({ jobId, channel: "Result email", error });
+      }),
+    // попытки webhook notifyCallback пишет в job.deliveries сам
+    callbackUrl &&
+      sendWebhook().catch((error) =>
+        deliveryFailed({ jobId, channel: "Webhook", error })
+      ),
+  ]);
+
+  countFinished(jobs.updateJob(jobId, { status: "done" }), "done");
+  metrics.rowsProcessed.inc(inputRows);
 }
 
 // Swagger (OpenAPI)
@@ -311,7 +868,7 @@ const swaggerSpec = swaggerJSDoc({
       title: "ML Parser XLSX API",
       version: "1.0.0",
       description:
-        "Upload Excel, map required columns, choose prediction models, submit a job (sent to Modal inference API), and receive the result by email.",
+        "Upload a spreadsheet (Excel, ODS, CSV or TSV), map required columns, choose prediction models, submit a job (sent to the configured inference provider), and receive the result by email.",
     },
     servers: [{ url: "/" }],
   },
@@ -321,6 +878,7 @@ const swaggerSpec = swaggerJSDoc({
 swaggerSpec.paths = {
   "/": {
     get: {
+      security: [],
       summary: "Healthcheck",
       responses: {
         200: {
@@ -333,16 +891,52 @@ swaggerSpec.paths = {
     },
   },
 
+  "/metrics": {
+    get: {
+      security: [],
+      summary: "Prometheus metrics",
+      description:
+        "Jobs by model and outcome, inference latency and retries, rows processed, upload sizes, emails and queue depth. " +
+        "When METRICS_TOKEN is set, send it as `Authorization: Bearer <token>`.",
+      responses: {
+        200: {
+          description: "Prometheus text exposition format",
+          content: { "text/plain": { schema: { type: "string" } } },
+        },
+        401: { description: "Missing or wrong METRICS_TOKEN" },
+      },
+    },
+  },
+
   "/api/inspect": {
     post: {
-      summary: "Inspect Excel columns and auto-map required fields",
+      summary:
+        "Inspect spreadsheet columns (xlsx, xls, ods, csv, tsv) and auto-map required fields",
       requestBody: {
         required: true,
         content: {
           "multipart/form-data": {
             schema: {
               type: "object",
-              properties: { file: { type: "string", format: "binary" } },
+              properties: {
+                file: { type: "string", format: "binary" },
+                sheet: {
+                  type: "string",
+                  description:
+                    "Sheet to inspect (default: the sheet with the best header guess)",
+                },
+                headerRow: {
+                  type: "integer",
+                  minimum: 1,
+                  description:
+                    "1-based header row number (default: guessed per sheet)",
+                },
+                mapping: {
+                  type: "string",
+                  description:
+                    "Optional JSON mapping to build the quality report for (default: autoMapping)",
+                },
+              },
               required: ["file"],
             },
           },
@@ -358,13 +952,15 @@ swaggerSpec.paths = {
           },
         },
         400: {
-          description: "Bad request",
+          description: "Bad request, e.g. an unsupported file type or an unreadable sheet",
           content: {
             "application/json": {
               schema: { $ref: "#/components/schemas/ErrorResponse" },
             },
           },
         },
+        401: { $ref: "#/components/responses/Unauthorized" },
+        413: { $ref: "#/components/responses/FileTooLarge" },
       },
     },
   },
@@ -384,6 +980,7 @@ swaggerSpec.paths = {
             },
           },
         },
+        401: { $ref: "#/components/responses/Unauthorized" },
       },
     },
   },
@@ -391,10 +988,15 @@ swaggerSpec.paths = {
   "/api/jobs": {
     post: {
       summary:
-        "Create job (sent to Modal inference API, result delivered by email)",
+        "Create job (sent to the inference provider, result delivered by email)",
       description:
-        "Validates mapping + models, uploads input file, calls Modal inference API, and emails resulting XLSX.\n\n" +
-        "IMPORTANT: mapping/models are JSON strings in multipart/form-data.",
+        "Validates mapping + models, uploads input file, calls the inference provider (Modal, generic HTTP or local mock), and emails resulting XLSX.\n\n" +
+        "The result is the original workbook with one predicted column per model appended to the selected sheet, plus a `Summary` sheet (row counts and predicted value distribution per model).\n\n" +
+        "IMPORTANT: mapping/models are JSON strings in multipart/form-data.\n\n" +
+        "Send either `file` or the `fileToken` returned by /api/inspect (the upload is cached server-side until `fileTokenExpiresAt`).\n\n" +
+        "Max upload size is UPLOAD_MAX_BYTES (200MB by default).\n\n" +
+        "`email` is optional when `callbackUrl` is set. On completion or failure the server POSTs a `WebhookPayload` to `callbackUrl`, " +
+        "signed with `X-Signature: sha256=HMAC_SHA256(WEBHOOK_SECRET, X-Timestamp + \".\" + body)`, retried with backoff.",
       requestBody: {
         required: true,
         content: {
@@ -403,15 +1005,53 @@ swaggerSpec.paths = {
               type: "object",
               properties: {
                 file: { type: "string", format: "binary" },
+                fileToken: {
+                  type: "string",
+                  description: "Token from /api/inspect, used instead of file",
+                },
                 email: { type: "string", example: "user@example.com" },
+                locale: {
+                  type: "string",
+                  enum: emails.SUPPORTED_LOCALES,
+                  default: emails.DEFAULT_LOCALE,
+                  description: "Language of notification emails",
+                },
+                callbackUrl: {
+                  type: "string",
+                  format: "uri",
+                  description:
+                    "Must resolve to public addresses (no loopback, private or link-local hosts) " +
+                    "and match allowedCallbackHosts of the API key, if set",
+                  example: "https://pipeline.example.com/hooks/mlparser",
+                },
                 mapping: {
                   type: "string",
                   example:
                     '{"product_images":"Product Images","title":"Title","description":"Description","bullet_points":"Bullet Points"}',
                 },
-                models: { type: "string", example: '["braket_type"]' },
+                models: {
+                  type: "string",
+                  example: '["braket_type"]',
+                  description:
+                    "JSON array of model ids; only the fields these models require must be mapped",
+                },
+                sheet: {
+                  type: "string",
+                  description: "Sheet name, as returned by /api/inspect",
+                },
+                headerRow: {
+                  type: "integer",
+                  minimum: 1,
+                  description: "1-based header row number",
+                },
+                profileName: {
+                  type: "string",
+                  maxLength: 100,
+                  description:
+                    "Save this mapping as a profile for files with the same headers (updates the existing profile for these headers)",
+                },
               },
-              required: ["file", "email", "mapping", "models"],
+              required: ["mapping", "models"],
             },
           },
         },
@@ -426,7 +1066,41 @@ swaggerSpec.paths = {
           },
         },
         400: {
-          description: "Validation error",
+          description: "Validation error, e.g. an unsupported file type or an invalid mapping",
+          content: {
+            "application/json": {
+              schema: { $ref: "#/components/schemas/ErrorResponse" },
+            },
+          },
+        },
+        409: {
+          description: "profileName is already used for other headers",
+          content: {
+            "application/json": {
+              schema: { $ref: "#/components/schemas/ErrorResponse" },
+            },
+          },
+        },
+        410: {
+          description: "fileToken expired or unknown",
+          content: {
+            "application/json": {
+              schema: { $ref: "#/components/schemas/ErrorResponse" },
+            },
+          },
+        },
+        401: { $ref: "#/components/responses/Unauthorized" },
+        403: { $ref: "#/components/responses/Forbidden" },
+        413: { $ref: "#/components/responses/FileTooLarge" },
+        429: { $ref: "#/components/responses/QuotaExceeded" },
+        503: {
+          description: "Queue is full, retry after the Retry-After header",
+          headers: {
+            "Retry-After": {
+              schema: { type: "integer" },
+              description: "Seconds to wait before retrying",
+            },
+          },
           content: {
             "application/json": {
               schema: { $ref: "#/components/schemas/ErrorResponse" },
@@ -435,51 +1109,927 @@ swaggerSpec.paths = {
         },
       },
     },
-  },
-};
-
-swaggerSpec.components = {
-  schemas: {
-    Model: {
-      type: "object",
-      properties: {
-        id: { type: "string", example: "braket_type" },
-        title: { type: "string", example: "Bracket type" },
+    get: {
+      summary: "List jobs (newest first)",
+      parameters: [
+        {
+          name: "limit",
+          in: "query",
+          schema: { type: "integer", minimum: 1, maximum: 100, default: 20 },
+        },
+        {
+          name: "offset",
+          in: "query",
+          schema: { type: "integer", minimum: 0, default: 0 },
+        },
+        {
+          name: "status",
+          in: "query",
+          schema: { type: "string", enum: jobs.STATUSES },
+        },
+      ],
+      responses: {
+        200: {
+          description: "Page of jobs",
+          content: {
+            "application/json": {
+              schema: { $ref: "#/components/schemas/JobList" },
+            },
+          },
+        },
+        401: { $ref: "#/components/responses/Unauthorized" },
       },
-      required: ["id", "title"],
     },
+  },
 
-    InspectAutoMapping: {
-      type: "object",
-      properties: {
-        product_images: { type: ["string", "null"] },
-        title: { type: ["string", "null"] },
-        description: { type: ["string", "null"] },
-        bullet_points: { type: ["string", "null"] },
+  "/api/jobs/{id}/result": {
+    get: {
+      security: [],
+      summary: "Download the result workbook via a signed, expiring link",
+      parameters: [
+        { name: "id", in: "path", required: true, schema: { type: "string" } },
+        {
+          name: "token",
+          in: "query",
+          required: true,
+          schema: { type: "string" },
+          description: "Signature from the emailed / webhook download link",
+        },
+      ],
+      responses: {
+        200: {
+          description: "Result XLSX",
+          content: {
+            "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet":
+              { schema: { type: "string", format: "binary" } },
+          },
+        },
+        403: {
+          description: "Invalid token",
+          content: {
+            "application/json": {
+              schema: { $ref: "#/components/schemas/ErrorResponse" },
+            },
+          },
+        },
+        404: {
+          description: "Job or result not found",
+          content: {
+            "application/json": {
+              schema: { $ref: "#/components/schemas/ErrorResponse" },
+            },
+          },
+        },
+        410: {
+          description: "Link expired or result removed by retention",
+          content: {
+            "application/json": {
+              schema: { $ref: "#/components/schemas/ErrorResponse" },
+            },
+          },
+        },
       },
-      required: ["product_images", "title", "description", "bullet_points"],
     },
+  },
 
-    InspectResponse: {
-      type: "object",
-      properties: {
-        fileToken: { type: "string" },
-        columns: { type: "array", items: { type: "string" } },
-        required: { type: "array", items: { type: "string" } },
-        autoMapping: { $ref: "#/components/schemas/InspectAutoMapping" },
+  "/api/jobs/{id}": {
+    get: {
+      summary: "Get job status and history",
+      parameters: [
+        { name: "id", in: "path", required: true, schema: { type: "string" } },
+      ],
+      responses: {
+        200: {
+          description: "Job",
+          content: {
+            "application/json": {
+              schema: { $ref: "#/components/schemas/Job" },
+            },
+          },
+        },
+        404: {
+          description: "Job not found",
+          content: {
+            "application/json": {
+              schema: { $ref: "#/components/schemas/ErrorResponse" },
+            },
+          },
+        },
+        401: { $ref: "#/components/responses/Unauthorized" },
+      },
+    },
+    delete: {
+      summary: "Cancel a job",
+      description:
+        "Allowed while the job is queued or inferring: aborts the inference request and its retries, marks the job `cancelled` and notifies the user (email, `job.cancelled` webhook). Only the API key that created the job can cancel it.",
+      parameters: [
+        { name: "id", in: "path", required: true, schema: { type: "string" } },
+      ],
+      responses: {
+        200: {
+          description: "Cancelled job",
+          content: {
+            "application/json": {
+              schema: { $ref: "#/components/schemas/Job" },
+            },
+          },
+        },
+        404: {
+          description: "Job not found",
+          content: {
+            "application/json": {
+              schema: { $ref: "#/components/schemas/ErrorResponse" },
+            },
+          },
+        },
+        409: {
+          description: "Job is finished or its result is already being delivered",
+          content: {
+            "application/json": {
+              schema: { $ref: "#/components/schemas/ErrorResponse" },
+            },
+          },
+        },
+        401: { $ref: "#/components/responses/Unauthorized" },
+      },
+    },
+  },
+
+  "/api/jobs/{id}/cancel": {
+    post: {
+      summary: "Cancel a job (same as DELETE /api/jobs/{id})",
+      description:
+        "Allowed while the job is queued or inferring: aborts the inference request and its retries, marks the job `cancelled` and notifies the user (email, `job.cancelled` webhook). Only the API key that created the job can cancel it.",
+      parameters: [
+        { name: "id", in: "path", required: true, schema: { type: "string" } },
+      ],
+      responses: {
+        200: {
+          description: "Cancelled job",
+          content: {
+            "application/json": {
+              schema: { $ref: "#/components/schemas/Job" },
+            },
+          },
+        },
+        404: {
+          description: "Job not found",
+          content: {
+            "application/json": {
+              schema: { $ref: "#/components/schemas/ErrorResponse" },
+            },
+          },
+        },
+        409: {
+          description: "Job is finished or its result is already being delivered",
+          content: {
+            "application/json": {
+              schema: { $ref: "#/components/schemas/ErrorResponse" },
+            },
+          },
+        },
+        401: { $ref: "#/components/responses/Unauthorized" },
+      },
+    },
+  },
+
+  "/api/jobs/{id}/events": {
+    get: {
+      summary: "Live job progress (Server-Sent Events)",
+      description:
+        "`text/event-stream`. The first event is `snapshot` (`status`, `progress`, `queuePosition`, `error`), then:\n\n" +
+        "- `status` — `{ status, at, error }` on every status change (`inferring` means the file is being sent to inference);\n" +
+        "- `progress` — `{ total, done, rows }` when the sheet is processed in chunks;\n" +
+        "- `retry` — `{ attempt, retries, waitMs, error, status, chunk? }` after each failed inference attempt.\n\n" +
+        "The stream ends after a final status (`done`, `failed`, `cancelled`). Authenticate with the API key as for other endpoints, " +
+        "or — for a browser `EventSource`, which cannot send headers — with `?token=` from `POST /api/jobs/{id}/events-token`.",
+      security: [{ ApiKeyAuth: [] }, {}],
+      parameters: [
+        { name: "id", in: "path", required: true, schema: { type: "string" } },
+        {
+          name: "token",
+          in: "query",
+          required: false,
+          schema: { type: "string" },
+          description:
+            "Short-lived stream token instead of the API key; checked only when the stream is opened",
+        },
+      ],
+      responses: {
+        200: {
+          description: "Event stream",
+          content: { "text/event-stream": { schema: { type: "string" } } },
+        },
+        404: {
+          description: "Job not found",
+          content: {
+            "application/json": {
+              schema: { $ref: "#/components/schemas/ErrorResponse" },
+            },
+          },
+        },
+        401: {
+          description: "Missing or invalid API key, or an invalid or expired stream token",
+          content: {
+            "application/json": {
+              schema: { $ref: "#/components/schemas/ErrorResponse" },
+            },
+          },
+        },
+      },
+    },
+  },
+
+  "/api/jobs/{id}/events-token": {
+    post: {
+      summary: "Short-lived token for opening the event stream from a browser",
+      description:
+        "Returns a signed token (valid for EVENTS_TOKEN_TTL_SECONDS, 300 by default) and a ready URL: " +
+        "`new EventSource(url)`. The token only opens `/api/jobs/{id}/events` of this job.",
+      parameters: [
+        { name: "id", in: "path", required: true, schema: { type: "string" } },
+      ],
+      responses: {
+        200: {
+          description: "Stream token",
+          content: {
+            "application/json": {
+              schema: {
+                type: "object",
+                properties: {
+                  token: { type: "string" },
+                  expiresAt: { type: "string", format: "date-time" },
+                  url: { type: "string" },
+                },
+                required: ["token", "expiresAt", "url"],
+              },
+            },
+          },
+        },
+        404: {
+          description: "Job not found",
+          content: {
+            "application/json": {
+              schema: { $ref: "#/components/schemas/ErrorResponse" },
+            },
+          },
+        },
+        401: { $ref: "#/components/responses/Unauthorized" },
+      },
+    },
+  },
+
+  "/api/jobs/{id}/audit": {
+    get: {
+      summary: "Audit trail of a job (oldest first)",
+      description:
+        "Append-only records: `job.submitted` (submitter, file hash, mapping, models) and `job.finished` (outcome, timings).",
+      parameters: [
+        { name: "id", in: "path", required: true, schema: { type: "string" } },
+      ],
+      responses: {
+        200: {
+          description: "Audit records",
+          content: {
+            "application/json": {
+              schema: {
+                type: "object",
+                properties: {
+                  items: {
+                    type: "array",
+                    items: { $ref: "#/components/schemas/AuditEntry" },
+                  },
+                },
+              },
+            },
+          },
+        },
+        404: {
+          description: "Job not found",
+          content: {
+            "application/json": {
+              schema: { $ref: "#/components/schemas/ErrorResponse" },
+            },
+          },
+        },
+        401: { $ref: "#/components/responses/Unauthorized" },
+      },
+    },
+  },
+
+  "/api/admin/models": {
+    get: {
+      tags: ["admin"],
+      summary: "All models, including disabled ones",
+      responses: {
+        200: {
+          description: "Models",
+          content: { "application/json": { schema: { type: "array", items: { $ref: "#/components/schemas/Model" } } } },
+        },
+        401: { $ref: "#/components/responses/Unauthorized" },
+        403: { $ref: "#/components/responses/AdminRequired" },
+      },
+    },
+    put: {
+      tags: ["admin"],
+      summary: "Replace configs/models.json",
+      requestBody: {
+        required: true,
+        content: {
+          "application/json": { schema: { type: "array", items: { $ref: "#/components/schemas/Model" } } },
+        },
+      },
+      responses: {
+        200: {
+          description: "Applied models",
+          content: { "application/json": { schema: { type: "array", items: { $ref: "#/components/schemas/Model" } } } },
+        },
+        400: { $ref: "#/components/responses/InvalidConfig" },
+        401: { $ref: "#/components/responses/Unauthorized" },
+        403: { $ref: "#/components/responses/AdminRequired" },
+      },
+    },
+  },
+
+  "/api/admin/models/{id}": {
+    parameters: [
+      { name: "id", in: "path", required: true, schema: { type: "string" } },
+    ],
+    put: {
+      tags: ["admin"],
+      summary: "Create or replace one model",
+      requestBody: {
+        required: true,
+        content: {
+          "application/json": { schema: { $ref: "#/components/schemas/Model" } },
+        },
+      },
+      responses: {
+        200: {
+          description: "Model replaced",
+          content: { "application/json": { schema: { $ref: "#/components/schemas/Model" } } },
+        },
+        201: {
+          description: "Model created",
+          content: { "application/json": { schema: { $ref: "#/components/schemas/Model" } } },
+        },
+        400: { $ref: "#/components/responses/InvalidConfig" },
+        401: { $ref: "#/components/responses/Unauthorized" },
+        403: { $ref: "#/components/responses/AdminRequired" },
+      },
+    },
+    delete: {
+      tags: ["admin"],
+      summary: "Delete a model",
+      responses: {
+        204: { description: "Deleted" },
+        404: {
+          description: "Model not found",
+          content: {
+            "application/json": {
+              schema: { $ref: "#/components/schemas/ErrorResponse" },
+            },
+          },
+        },
+        400: { $ref: "#/components/responses/InvalidConfig" },
+        401: { $ref: "#/components/responses/Unauthorized" },
+        403: { $ref: "#/components/responses/AdminRequired" },
+      },
+    },
+  },
+
+  "/api/admin/fields": {
+    get: {
+      tags: ["admin"],
+      summary: "Required fields and header aliases (configs/required.json)",
+      responses: {
+        200: {
+          description: "Fields config",
+          content: { "application/json": { schema: { $ref: "#/components/schemas/FieldsConfig" } } },
+        },
+        401: { $ref: "#/components/responses/Unauthorized" },
+        403: { $ref: "#/components/responses/AdminRequired" },
+      },
+    },
+    put: {
+      tags: ["admin"],
+      summary: "Replace configs/required.json",
+      requestBody: {
+        required: true,
+        content: {
+          "application/json": { schema: { $ref: "#/components/schemas/FieldsConfig" } },
+        },
+      },
+      responses: {
+        200: {
+          description: "Applied config",
+          content: { "application/json": { schema: { $ref: "#/components/schemas/FieldsConfig" } } },
+        },
+        400: { $ref: "#/components/responses/InvalidConfig" },
+        401: { $ref: "#/components/responses/Unauthorized" },
+        403: { $ref: "#/components/responses/AdminRequired" },
+      },
+    },
+  },
+
+  "/api/admin/fields/{field}/aliases": {
+    parameters: [
+      {
+        name: "field",
+        in: "path",
+        required: true,
+        schema: {
+          type: "string",
+          enum: ["product_images", "title", "description", "bullet_points"],
+        },
+      },
+    ],
+    put: {
+      tags: ["admin"],
+      summary: "Replace header aliases of one field",
+      requestBody: {
+        required: true,
+        content: {
+          "application/json": { schema: { type: "array", items: { type: "string" } } },
+        },
+      },
+      responses: {
+        200: {
+          description: "Applied config",
+          content: { "application/json": { schema: { $ref: "#/components/schemas/FieldsConfig" } } },
+        },
+        400: { $ref: "#/components/responses/InvalidConfig" },
+        401: { $ref: "#/components/responses/Unauthorized" },
+        403: { $ref: "#/components/responses/AdminRequired" },
+      },
+    },
+  },
+
+  "/api/admin/reload": {
+    post: {
+      tags: ["admin"],
+      summary: "Re-read both config files from disk",
+      responses: {
+        200: {
+          description: "Reloaded configs",
+          content: {
+            "application/json": {
+              schema: {
+                type: "object",
+                properties: {
+                  required: { $ref: "#/components/schemas/FieldsConfig" },
+                  models: { type: "array", items: { $ref: "#/components/schemas/Model" } },
+                },
+              },
+            },
+          },
+        },
+        400: { $ref: "#/components/responses/InvalidConfig" },
+        401: { $ref: "#/components/responses/Unauthorized" },
+        403: { $ref: "#/components/responses/AdminRequired" },
+      },
+    },
+  },
+
+  "/api/admin/audit": {
+    get: {
+      tags: ["admin"],
+      summary: "Search the audit log of all clients (newest first)",
+      parameters: [
+        { name: "jobId", in: "query", schema: { type: "string" } },
+        { name: "clientId", in: "query", schema: { type: "string" } },
+        {
+          name: "event",
+          in: "query",
+          schema: { type: "string", enum: ["job.submitted", "job.finished"] },
+        },
+        {
+          name: "outcome",
+          in: "query",
+          schema: { type: "string", enum: ["done", "failed", "cancelled"] },
+        },
+        { name: "model", in: "query", schema: { type: "string" } },
+        {
+          name: "from",
+          in: "query",
+          schema: { type: "string", format: "date-time" },
+        },
+        {
+          name: "to",
+          in: "query",
+          schema: { type: "string", format: "date-time" },
+        },
+        {
+          name: "limit",
+          in: "query",
+          schema: { type: "integer", minimum: 1, maximum: 1000, default: 100 },
+        },
+        {
+          name: "offset",
+          in: "query",
+          schema: { type: "integer", minimum: 0, default: 0 },
+        },
+      ],
+      responses: {
+        200: {
+          description: "Page of audit records",
+          content: {
+            "application/json": {
+              schema: { $ref: "#/components/schemas/AuditList" },
+            },
+          },
+        },
+        400: {
+          description: "from/to is not a date",
+          content: {
+            "application/json": {
+              schema: { $ref: "#/components/schemas/ErrorResponse" },
+            },
+          },
+        },
+        401: { $ref: "#/components/responses/Unauthorized" },
+        403: { $ref: "#/components/responses/AdminRequired" },
+      },
+    },
+  },
+
+  "/api/profiles": {
+    get: {
+      summary: "List saved mapping profiles of this API key",
+      responses: {
+        200: {
+          description: "Profiles, sorted by name",
+          content: {
+            "application/json": {
+              schema: {
+                type: "object",
+                properties: {
+                  items: {
+                    type: "array",
+                    items: { $ref: "#/components/schemas/MappingProfile" },
+                  },
+                  total: { type: "integer" },
+                },
+                required: ["items", "total"],
+              },
+            },
+          },
+        },
+        401: { $ref: "#/components/responses/Unauthorized" },
+      },
+    },
+  },
+
+  "/api/profiles/{id}": {
+    parameters: [
+      { name: "id", in: "path", required: true, schema: { type: "string" } },
+    ],
+    get: {
+      summary: "Get a mapping profile",
+      responses: {
+        200: {
+          description: "Profile",
+          content: {
+            "application/json": {
+              schema: { $ref: "#/components/schemas/MappingProfile" },
+            },
+          },
+        },
+        404: { $ref: "#/components/responses/ProfileNotFound" },
+        401: { $ref: "#/components/responses/Unauthorized" },
+      },
+    },
+    patch: {
+      summary: "Rename a mapping profile",
+      requestBody: {
+        required: true,
+        content: {
+          "application/json": {
+            schema: {
+              type: "object",
+              properties: { name: { type: "string", maxLength: 100 } },
+              required: ["name"],
+            },
+          },
+        },
+      },
+      responses: {
+        200: {
+          description: "Renamed profile",
+          content: {
+            "application/json": {
+              schema: { $ref: "#/components/schemas/MappingProfile" },
+            },
+          },
+        },
+        400: {
+          description: "Invalid name",
+          content: {
+            "application/json": {
+              schema: { $ref: "#/components/schemas/ErrorResponse" },
+            },
+          },
+        },
+        409: {
+          description: "Another profile already has this name",
+          content: {
+            "application/json": {
+              schema: { $ref: "#/components/schemas/ErrorResponse" },
+            },
+          },
+        },
+        404: { $ref: "#/components/responses/ProfileNotFound" },
+        401: { $ref: "#/components/responses/Unauthorized" },
+      },
+    },
+    delete: {
+      summary: "Delete a mapping profile",
+      responses: {
+        204: { description: "Deleted" },
+        404: { $ref: "#/components/responses/ProfileNotFound" },
+        401: { $ref: "#/components/responses/Unauthorized" },
+      },
+    },
+  },
+};
+
+swaggerSpec.security = [{ ApiKeyAuth: [] }];
+
+swaggerSpec.components = {
+  securitySchemes: {
+    ApiKeyAuth: {
+      type: "apiKey",
+      in: "header",
+      name: "X-API-Key",
+      description:
+        "Keys are defined in configs/api-keys.json (see configs/api-keys.example.json), stored as `keySha256` = sha256 hex of the key. " +
+        "`Authorization: Bearer <key>` is accepted too.",
+    },
+  },
+
+  responses: {
+    Unauthorized: {
+      description: "Missing or invalid API key",
+      content: {
+        "application/json": {
+          schema: { $ref: "#/components/schemas/ErrorResponse" },
+        },
+      },
+    },
+    Forbidden: {
+      description:
+        "Model or recipient email domain is not allowed for this API key",
+      content: {
+        "application/json": {
+          schema: { $ref: "#/components/schemas/ErrorResponse" },
+        },
+      },
+    },
+    FileTooLarge: {
+      description: "Uploaded file is larger than UPLOAD_MAX_BYTES",
+      content: {
+        "application/json": {
+          schema: { $ref: "#/components/schemas/ErrorResponse" },
+        },
+      },
+    },
+    QuotaExceeded: {
+      description: "Daily job or row quota of this API key is exhausted",
+      content: {
+        "application/json": {
+          schema: { $ref: "#/components/schemas/ErrorResponse" },
+        },
+      },
+    },
+    AdminRequired: {
+      description: 'API key is not an admin key ("admin": true in the API keys file)',
+      content: {
+        "application/json": {
+          schema: { $ref: "#/components/schemas/ErrorResponse" },
+        },
+      },
+    },
+    InvalidConfig: {
+      description:
+        "Config does not match configs/schemas/*.schema.json; nothing was changed",
+      content: {
+        "application/json": {
+          schema: { $ref: "#/components/schemas/ErrorResponse" },
+        },
+      },
+    },
+    ProfileNotFound: {
+      description: "Profile not found (or belongs to another API key)",
+      content: {
+        "application/json": {
+          schema: { $ref: "#/components/schemas/ErrorResponse" },
+        },
+      },
+    },
+  },
+
+  schemas: {
+    Model: {
+      type: "object",
+      properties: {
+        id: { type: "string", example: "braket_type" },
+        title: { type: "string", example: "Bracket type" },
+        description: { type: "string" },
+        version: { type: ["string", "null"], example: "1.0.0" },
+        requiredFields: {
+          type: "array",
+          items: {
+            type: "string",
+            enum: ["product_images", "title", "description", "bullet_points"],
+          },
+          description: "Canonical fields that must be mapped for this model",
+        },
+        enabled: {
+          type: "boolean",
+          description: "Disabled models are listed but cannot be used in jobs",
+        },
+        params: {
+          type: "object",
+          additionalProperties: true,
+          description: "Extra parameters sent to the inference provider",
+        },
+      },
+      required: [
+        "id",
+        "title",
+        "description",
+        "version",
+        "requiredFields",
+        "enabled",
+        "params",
+      ],
+    },
+
+    InspectAutoMapping: {
+      type: "object",
+      description: "Only the fields listed in configs/required.json",
+      properties: {
+        product_images: { type: ["string", "null"] },
+        title: { type: ["string", "null"] },
+        description: { type: ["string", "null"] },
+        bullet_points: { type: "array", items: { type: "string" } },
+      },
+    },
+
+    InspectConfidence: {
+      type: "object",
+      description:
+        "Header similarity (0..1) for each auto-mapped field; null when the field is not mapped",
+      properties: {
+        product_images: { type: ["number", "null"] },
+        title: { type: ["number", "null"] },
+        description: { type: ["number", "null"] },
+        bullet_points: {
+          type: "array",
+          items: { type: "number" },
+          description: "One value per column in autoMapping.bullet_points",
+        },
+      },
+    },
+
+    MappingCandidate: {
+      type: "object",
+      properties: {
+        column: { type: "string" },
+        confidence: { type: "number", minimum: 0, maximum: 1 },
+      },
+      required: ["column", "confidence"],
+    },
+
+    InputFormat: {
+      type: "object",
+      description:
+        "Detected input format. Non-XLSX inputs are converted to XLSX before inference.",
+      properties: {
+        type: { type: "string", enum: ["xlsx", "xls", "ods", "csv", "tsv"] },
+        delimiter: { type: ["string", "null"], example: ";" },
+        encoding: { type: ["string", "null"], example: "windows-1251" },
+      },
+      required: ["type", "delimiter", "encoding"],
+    },
+
+    InspectSheet: {
+      type: "object",
+      properties: {
+        name: { type: "string", example: "Products" },
+        headerRow: { type: "integer", example: 3 },
+      },
+      required: ["name", "headerRow"],
+    },
+
+    InspectResponse: {
+      type: "object",
+      properties: {
+        fileToken: { type: "string" },
+        fileTokenExpiresAt: { type: "string", format: "date-time" },
+        format: { $ref: "#/components/schemas/InputFormat" },
+        sheets: {
+          type: "array",
+          items: { $ref: "#/components/schemas/InspectSheet" },
+        },
+        sheet: { type: "string" },
+        headerRow: { type: "integer" },
+        columns: { type: "array", items: { type: "string" } },
+        required: { type: "array", items: { type: "string" } },
+        autoMapping: { $ref: "#/components/schemas/InspectAutoMapping" },
+        mappingSource: {
+          type: "string",
+          enum: ["auto", "profile"],
+          description:
+            "profile: autoMapping comes from a saved profile with the same headers",
+        },
+        profile: {
+          oneOf: [
+            { $ref: "#/components/schemas/MappingProfile" },
+            { type: "null" },
+          ],
+        },
+        confidence: { $ref: "#/components/schemas/InspectConfidence" },
         missing: { type: "array", items: { type: "string" } },
         candidates: {
           type: "object",
-          additionalProperties: { type: "array", items: { type: "string" } },
+          description: "Possible columns per field, best match first",
+          additionalProperties: {
+            type: "array",
+            items: { $ref: "#/components/schemas/MappingCandidate" },
+          },
         },
+        quality: { $ref: "#/components/schemas/QualityReport" },
       },
       required: [
         "fileToken",
+        "fileTokenExpiresAt",
+        "format",
+        "sheets",
+        "sheet",
+        "headerRow",
         "columns",
         "required",
         "autoMapping",
+        "mappingSource",
+        "profile",
+        "confidence",
         "missing",
         "candidates",
+        "quality",
+      ],
+    },
+
+    QualityIssue: {
+      type: ["object", "null"],
+      description: "null when the field is not mapped",
+      properties: {
+        count: { type: "integer" },
+        sampleRows: {
+          type: "array",
+          items: { type: "integer" },
+          description: "Excel row numbers (up to 10)",
+        },
+      },
+      required: ["count", "sampleRows"],
+    },
+
+    QualityReport: {
+      type: "object",
+      properties: {
+        totalRows: { type: "integer" },
+        emptyTitle: { $ref: "#/components/schemas/QualityIssue" },
+        emptyDescription: { $ref: "#/components/schemas/QualityIssue" },
+        emptyImages: { $ref: "#/components/schemas/QualityIssue" },
+        invalidImageUrls: { $ref: "#/components/schemas/QualityIssue" },
+        duplicateTitles: { $ref: "#/components/schemas/QualityIssue" },
+        emptyBulletColumns: {
+          type: "object",
+          properties: {
+            count: { type: "integer" },
+            columns: { type: "array", items: { type: "string" } },
+          },
+          required: ["count", "columns"],
+        },
+        longTextCells: {
+          type: "object",
+          properties: {
+            count: { type: "integer" },
+            sampleRows: { type: "array", items: { type: "integer" } },
+            limit: { type: "integer", description: "Max characters per cell" },
+          },
+          required: ["count", "sampleRows", "limit"],
+        },
+      },
+      required: [
+        "totalRows",
+        "emptyTitle",
+        "emptyDescription",
+        "emptyImages",
+        "invalidImageUrls",
+        "duplicateTitles",
+        "emptyBulletColumns",
+        "longTextCells",
       ],
     },
 
@@ -488,8 +2038,250 @@ swaggerSpec.components = {
       properties: {
         jobId: { type: "string", example: "job_3a8f2c1d9b4e7f10" },
         status: { type: "string", example: "queued" },
+        profileId: {
+          type: ["string", "null"],
+          description: "Saved mapping profile, when profileName was sent",
+        },
+      },
+      required: ["jobId", "status", "profileId"],
+    },
+
+    Job: {
+      type: "object",
+      properties: {
+        id: { type: "string", example: "job_3a8f2c1d9b4e7f10" },
+        status: { type: "string", enum: jobs.STATUSES },
+        createdAt: { type: "string", format: "date-time" },
+        updatedAt: { type: "string", format: "date-time" },
+        startedAt: { type: ["string", "null"], format: "date-time" },
+        finishedAt: { type: ["string", "null"], format: "date-time" },
+        email: { type: ["string", "null"] },
+        callbackUrl: { type: ["string", "null"] },
+        locale: { type: "string", enum: emails.SUPPORTED_LOCALES },
+        filename: { type: "string" },
+        models: { type: "array", items: { type: "string" } },
+        sheet: { type: "string" },
+        headerRow: { type: "integer" },
+        mapping: {
+          $ref: "#/components/schemas/InspectAutoMapping",
+          description:
+            "Confirmed mapping; inference receives these columns renamed to the field names",
+        },
+        nRows: { type: ["integer", "null"] },
+        progress: {
+          type: ["object", "null"],
+          description: "Chunked inference progress (null when not chunked)",
+          properties: {
+            total: { type: "integer", description: "Chunks in total" },
+            done: { type: "integer", description: "Chunks finished" },
+            rows: { type: "integer", description: "Data rows in total" },
+          },
+        },
+        error: { type: ["string", "null"] },
+        result: { $ref: "#/components/schemas/JobResult" },
+        queuePosition: {
+          type: ["integer", "null"],
+          description:
+            "1-based position in the inference queue (only in GET /api/jobs/{id}, null once started)",
+        },
+        resultUrl: {
+          type: ["string", "null"],
+          description:
+            "Signed download link (only in GET /api/jobs/{id}, null when no result is stored)",
+        },
+        history: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              status: { type: "string", enum: jobs.STATUSES },
+              at: { type: "string", format: "date-time" },
+            },
+            required: ["status", "at"],
+          },
+        },
+        deliveries: {
+          type: "array",
+          description:
+            "Delivery log: one entry per webhook attempt, plus failed result emails",
+          items: { $ref: "#/components/schemas/DeliveryAttempt" },
+        },
+      },
+      required: ["id", "status", "createdAt", "updatedAt", "models", "history"],
+    },
+
+    JobResult: {
+      type: ["object", "null"],
+      properties: {
+        filename: { type: "string" },
+        size: { type: "integer" },
+        expiresAt: { type: "string", format: "date-time" },
+        deleted: {
+          type: "boolean",
+          description: "true once the retention sweeper removed the file",
+        },
+      },
+      required: ["filename", "size", "expiresAt", "deleted"],
+    },
+
+    DeliveryAttempt: {
+      type: "object",
+      properties: {
+        channel: { type: "string", enum: ["webhook", "email"] },
+        url: { type: "string" },
+        attempt: { type: "integer" },
+        at: { type: "string", format: "date-time" },
+        status: { type: ["integer", "null"], description: "HTTP status" },
+        ok: { type: "boolean" },
+        error: { type: ["string", "null"] },
+      },
+      required: ["channel", "attempt", "at", "ok"],
+    },
+
+    WebhookPayload: {
+      type: "object",
+      properties: {
+        event: {
+          type: "string",
+          enum: ["job.done", "job.failed", "job.cancelled"],
+        },
+        jobId: { type: "string" },
+        status: { type: "string", enum: ["done", "failed", "cancelled"] },
+        models: { type: "array", items: { type: "string" } },
+        nRows: { type: ["integer", "null"] },
+        error: { type: ["string", "null"] },
+        finishedAt: { type: "string", format: "date-time" },
+        result: {
+          type: ["object", "null"],
+          properties: {
+            filename: { type: "string" },
+            size: { type: "integer" },
+            url: {
+              type: "string",
+              description: "Signed download link (GET /api/jobs/{id}/result)",
+            },
+            expiresAt: { type: "string", format: "date-time" },
+          },
+        },
+      },
+      required: ["event", "jobId", "status"],
+    },
+
+    JobList: {
+      type: "object",
+      properties: {
+        items: { type: "array", items: { $ref: "#/components/schemas/Job" } },
+        total: {
+          type: ["integer", "null"],
+          description:
+            "Matching entries in the period; null when reading stopped early (see hasMore)",
+        },
+        hasMore: {
+          type: "boolean",
+          description: "true when there are entries after this page",
+        },
+        limit: { type: "integer" },
+        offset: { type: "integer" },
+      },
+      required: ["items", "total", "hasMore", "limit", "offset"],
+    },
+
+    AuditEntry: {
+      type: "object",
+      description:
+        "`job.submitted` also has requestId, submitter, file, sheet, headerRow, mapping and profileName; " +
+        "`job.finished` has outcome, error, nRows, result and timings",
+      properties: {
+        at: { type: "string", format: "date-time" },
+        event: { type: "string", enum: ["job.submitted", "job.finished"] },
+        jobId: { type: "string" },
+        clientId: { type: "string" },
+        requestId: { type: "string" },
+        submitter: {
+          type: "object",
+          properties: {
+            email: { type: "string", nullable: true },
+            callbackUrl: { type: "string", nullable: true },
+            ip: { type: "string" },
+          },
+        },
+        file: {
+          type: "object",
+          properties: {
+            name: { type: "string" },
+            format: { type: "string" },
+            size: { type: "integer", description: "Uploaded bytes" },
+            sha256: { type: "string", description: "Hash of the uploaded file" },
+          },
+        },
+        models: { type: "array", items: { type: "string" } },
+        mapping: { type: "object", additionalProperties: true },
+        outcome: { type: "string", enum: ["done", "failed", "cancelled"] },
+        error: { type: "string", nullable: true },
+        timings: {
+          type: "object",
+          description:
+            "Milliseconds spent in each status (queued, inferring, emailing, delivering) and `total`",
+          additionalProperties: { type: "integer" },
+        },
+      },
+      required: ["at", "event", "jobId", "clientId"],
+    },
+    AuditList: {
+      type: "object",
+      properties: {
+        items: {
+          type: "array",
+          items: { $ref: "#/components/schemas/AuditEntry" },
+        },
+        total: { type: "integer" },
+        limit: { type: "integer" },
+        offset: { type: "integer" },
+      },
+      required: ["items", "total", "limit", "offset"],
+    },
+
+    FieldsConfig: {
+      type: "object",
+      properties: {
+        required: {
+          type: "array",
+          items: {
+            type: "string",
+            enum: ["product_images", "title", "bullet_points", "description"],
+          },
+        },
+        aliases: {
+          type: "object",
+          additionalProperties: { type: "array", items: { type: "string" } },
+        },
+      },
+      required: ["required", "aliases"],
+    },
+
+    MappingProfile: {
+      type: "object",
+      properties: {
+        id: { type: "string", example: "prof_3a8f2c1d9b4e7f10" },
+        name: { type: "string", example: "Supplier A weekly" },
+        fingerprint: {
+          type: "string",
+          description: "sha256 of the sorted normalized header set",
+        },
+        columns: { type: "array", items: { type: "string" } },
+        mapping: { $ref: "#/components/schemas/InspectAutoMapping" },
+        createdAt: { type: "string", format: "date-time" },
+        updatedAt: { type: "string", format: "date-time" },
       },
-      required: ["jobId", "status"],
+      required: [
+        "id",
+        "name",
+        "fingerprint",
+        "columns",
+        "mapping",
+        "createdAt",
+        "updatedAt",
+      ],
     },
 
     ErrorResponse: {
@@ -517,162 +2309,663 @@ app.use(
 );
 
 // Routes
+// все /api/* — по API-ключу; скачивание результата защищено подписанной ссылкой
+app.use("/api", (req, res, next) => {
+  if (req.method === "GET" && /^\/jobs\/[^/]+\/result$/.test(req.path))
+    return next();
+  // поток событий из браузера — по токену из POST /api/jobs/:id/events-token
+  if (
+    req.method === "GET" &&
+    req.query.token &&
+    /^\/jobs\/[^/]+\/events$/.test(req.path)
+  ) {
+    // без ключа клиента нет (req.client у Node по умолчанию — сокет)
+    req.client = null;
+    return next();
+  }
+  auth.requireApiKey(req, res, next);
+});
+
 app.get("/", (req, res) => res.send("OK"));
 
+// Prometheus; METRICS_TOKEN (если задан) — Bearer-токен для scrape
+app.get("/metrics", async (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (token && req.get("authorization") !== `Bearer ${token}`)
+    return res.status(401).send("Unauthorized");
+
+  res.set("Content-Type", metrics.registry.contentType);
+  res.send(await metrics.registry.metrics());
+});
+
 // Step 1: inspect
-app.post("/api/inspect", upload.single("file"), (req, res) => {
-  if (!req.file) return res.status(400).json({ error: "No file" });
+app.post(
+  "/api/inspect",
+  uploadFile,
+  uploads.cleanupRequestFile,
+  (req, res) => {
+    if (!req.file) return res.status(400).json({ error: "No file" });
 
-  const columns = extractColumnsFromFirstSheet(req.file.buffer);
-  const { mapping, missing } = autoMap(columns);
+    let file;
+    let wb;
+    let selection;
+    try {
+      file = prepareUpload(req.file);
+      wb = readWorkbook(file.buffer);
+      selection = resolveSheet(wb, req.body);
+    } catch (e) {
+      return res.status(400).json({ error: "Bad request", details: e.message });
+    }
 
-  const candidates = {};
-  for (const key of reqCfg.required) {
-    candidates[key] = candidatesFor(
-      columns,
-      key,
-      key === "bullet_points" ? 20 : 10
+    const { columns } = selection;
+    // шаблон, для которого маппинг уже подтверждали, — берём сохранённый профиль
+    const profile = profiles.findByFingerprint(
+      req.client.id,
+      profiles.fingerprint(columns)
     );
-  }
+    const { mapping, confidence, missing } = profile
+      ? profileMapping(profile, columns)
+      : autoMap(columns);
+
+    // отчёт строим по маппингу клиента (если он уже поправил автоматический) или по autoMap
+    const qualityMapping =
+      safeJsonParse(req.body.mapping || "null", null) || mapping;
+    const quality = buildQualityReport(
+      sheetTable(wb.Sheets[selection.sheet], selection.headerRow),
+      {
+        ...qualityMapping,
+        bullet_points: [].concat(qualityMapping.bullet_points || []),
+      },
+      norm
+    );
+
+    const candidates = {};
+    for (const key of reqCfg.required) {
+      candidates[key] = candidatesFor(
+        columns,
+        key,
+        key === "bullet_points" ? 20 : 10
+      );
+    }
 
-  const fileToken = "f_" + crypto.randomBytes(16).toString("hex");
+    const { token: fileToken, expiresAt: fileTokenExpiresAt } =
+      uploads.putUpload(file);
 
-  return res.json({
-    fileToken,
-    columns,
-    required: reqCfg.required,
-    autoMapping: mapping,
-    missing,
-    candidates,
-  });
-});
+    return res.json({
+      fileToken,
+      fileTokenExpiresAt,
+      format: file.format,
+      sheets: selection.sheets,
+      sheet: selection.sheet,
+      headerRow: selection.headerRow,
+      columns,
+      required: reqCfg.required,
+      autoMapping: mapping,
+      mappingSource: profile ? "profile" : "auto",
+      profile: profile && publicProfile(profile),
+      confidence,
+      missing,
+      candidates,
+      quality,
+    });
+  }
+);
 
 // Step 2: models
 app.get("/api/models", (req, res) => {
-  res.json(modelsCfg);
+  res.json(modelsCfg.filter((m) => auth.isModelAllowed(req.client, m.id)));
 });
 
-// Step 3: jobs -> call Modal -> email result
-app.post("/api/jobs", upload.single("file"), async (req, res) => {
-  try {
-    const email = String(req.body.email || "").trim();
-    const mapping = safeJsonParse(req.body.mapping || "{}", {});
-    let models = safeJsonParse(req.body.models || "[]", []);
-    if (!Array.isArray(models) || !models.length) models = ["braket_type"];
-
-    if (!req.file) return res.status(400).json({ error: "No file" });
-    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email))
-      return res.status(400).json({ error: "Invalid email" });
-
-    const columns = extractColumnsFromFirstSheet(req.file.buffer);
-
-    const v = validateMapping(mapping, columns);
-    if (!v.ok)
-      return res
-        .status(400)
-        .json({ error: "Invalid mapping", details: v.errors });
-    mapping.bullet_points = v.bullet_points;
+// Step 3: jobs -> inference -> email result
+app.post(
+  "/api/jobs",
+  uploadFile,
+  uploads.cleanupRequestFile,
+  async (req, res) => {
+    try {
+      const email = String(req.body.email || "").trim();
+      const callbackUrl = String(req.body.callbackUrl || "").trim() || null;
+      const locale = String(req.body.locale || emails.DEFAULT_LOCALE)
+        .trim()
+        .toLowerCase();
+      const mapping = safeJsonParse(req.body.mapping || "{}", {});
+      const models = safeJsonParse(req.body.models || "[]", []);
+      const profileName = String(req.body.profileName || "").trim();
+
+      // файл можно не загружать повторно — берём его из кэша /api/inspect
+      let file = req.file && prepareUpload(req.file);
+      if (!file && req.body.fileToken) {
+        const cached = uploads.getUpload(String(req.body.fileToken));
+        if (!cached)
+          return res.status(410).json({
+            error: "fileToken expired or unknown",
+            details: "Upload the file again via /api/inspect",
+          });
+        file = {
+          ...cached,
+          buffer: fs.readFileSync(cached.path),
+          sourcePath: cached.path,
+        };
+      }
 
-    const allowed = new Set(modelsCfg.map((m) => m.id));
-    for (const m of models) {
-      if (!allowed.has(m)) {
+      if (!file) return res.status(400).json({ error: "No file" });
+      // email необязателен, если результат заберут через callbackUrl
+      const emailRequired = Boolean(email) || !callbackUrl;
+      if (emailRequired && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email))
+        return res.status(400).json({ error: "Invalid email" });
+      if (!emails.SUPPORTED_LOCALES.includes(locale))
+        return res.status(400).json({
+          error: `Unsupported locale: ${locale}`,
+          details: emails.SUPPORTED_LOCALES,
+        });
+      if (!auth.isEmailAllowed(req.client, email))
+        return res.status(403).json({
+          error: "Recipient email domain is not allowed for this API key",
+        });
+      if (callbackUrl && !webhook.isValidCallbackUrl(callbackUrl))
+        return res.status(400).json({ error: "Invalid callbackUrl" });
+      if (callbackUrl && !webhook.isConfigured())
         return res.status(400).json({
-          error: `Hardcoded model is not in configs/models.json: ${m}`,
+          error: "Webhook callbacks are not configured on this server",
+        });
+      if (callbackUrl && !auth.isCallbackAllowed(req.client, callbackUrl))
+        return res.status(403).json({
+          error: "callbackUrl host is not allowed for this API key",
         });
+      const blocked = callbackUrl
+        ? await webhook.checkCallbackTarget(callbackUrl)
+        : null;
+      if (blocked)
+        return res
+          .status(400)
+          .json({ error: "Invalid callbackUrl", details: blocked });
+
+      const wb = readWorkbook(file.buffer);
+      const { columns, sheet, headerRow } = resolveSheet(wb, req.body);
+
+      if (!Array.isArray(models) || !models.length)
+        return res.status(400).json({ error: "No models selected" });
+      for (const id of models) {
+        const model = modelsCfg.find((m) => m.id === id);
+        if (!model)
+          return res.status(400).json({
+            error: `Model is not in configs/models.json: ${id}`,
+          });
+        if (!model.enabled)
+          return res.status(400).json({ error: `Model is disabled: ${id}` });
       }
-    }
-    if (!models.length)
-      return res.status(400).json({ error: "No models selected" });
 
-    const jobId = "job_" + crypto.randomBytes(8).toString("hex");
+      const forbidden = models.filter(
+        (m) => !auth.isModelAllowed(req.client, m)
+      );
+      if (forbidden.length)
+        return res.status(403).json({
+          error: "Models are not allowed for this API key",
+          details: forbidden,
+        });
 
-    // быстро отвечаем фронту
-    res.status(201).json({ jobId, status: "queued" });
+      const v = validateMapping(mapping, columns, requiredFieldsFor(models));
+      if (!v.ok)
+        return res
+          .status(400)
+          .json({ error: "Invalid mapping", details: v.errors });
+      mapping.bullet_points = v.bullet_points;
+
+      const fingerprint = profiles.fingerprint(columns);
+      if (profileName) {
+        if (profileName.length > PROFILE_NAME_MAX)
+          return res.status(400).json({
+            error: `profileName is longer than ${PROFILE_NAME_MAX} characters`,
+          });
+        const sameName = profiles.findByName(req.client.id, profileName);
+        if (sameName && sameName.fingerprint !== fingerprint)
+          return res.status(409).json({
+            error: `Profile name is already used for other headers: ${profileName}`,
+          });
+      }
 
-    // в фоне: инференс -> письмо
-    setImmediate(async () => {
-      await sendResultEmail({
-        to: email,
-        subject: "⏳ Your file is being processed",
-        text: `Job ${jobId} has started.\nWe will email you when it is ready.`,
-      });
-      const reqFilename = req.file.originalname || "input.xlsx";
-
-      let inferenceResp;
-      try {
-        inferenceResp = await callInferenceModal({
-          buffer: req.file.buffer,
-          filename: reqFilename,
-          modelsList: models,
+      const inputRows = sheetTable(wb.Sheets[sheet], headerRow).rows.length;
+      const quotaError = auth.checkQuota(
+        req.client,
+        jobs.dailyUsage(req.client.id),
+        inputRows
+      );
+      if (quotaError) return res.status(429).json({ error: quotaError });
+
+      if (queue.isFull()) {
+        res.set("Retry-After", String(queue.retryAfterSeconds()));
+        return res.status(503).json({
+          error: "Too many jobs in the queue, try again later",
         });
-        console.log("✅ Inference OK", { jobId, n_rows: inferenceResp.n_rows });
-      } catch (e) {
-        console.error("❌ Inference failed", { jobId, error: e?.message || e });
-        return;
       }
 
-      try {
-        const resultBuf = Buffer.from(inferenceResp.xlsx_base64, "base64");
-        const outName = inferenceResp.filename || `result-${jobId}.xlsx`;
+      const reqFilename = file.originalname || "input.xlsx";
+      // у job своя копия входного файла: кэш fileToken может истечь раньше
+      const inputPath = uploads.persistFile(file, "job");
+      const job = jobs.createJob({
+        clientId: req.client.id,
+        email: email || null,
+        callbackUrl,
+        filename: reqFilename,
+        models,
+        sheet,
+        headerRow,
+        mapping: pickMapping(mapping),
+        locale,
+        inputRows,
+      });
+      const jobId = job.id;
+      for (const model of models) metrics.jobsCreated.inc({ model });
+      audit.record("job.submitted", {
+        jobId,
+        clientId: req.client.id,
+        requestId: req.id,
+        submitter: { email: email || null, callbackUrl, ip: req.ip },
+        file: {
+          name: reqFilename,
+          format: file.format?.type,
+          size: file.sourceSize,
+          sha256: file.sha256,
+        },
+        sheet,
+        headerRow,
+        inputRows,
+        models,
+        mapping: job.mapping,
+        profileName: profileName || null,
+      });
 
-        await sendResultEmail({
-          to: email,
-          subject: "Your file is ready",
-          text: `Done. JobId: ${jobId}\nRows: ${inferenceResp.n_rows ?? "?"}`,
-          filename: outName,
-          contentBuffer: resultBuf,
+      // подтверждённый маппинг запоминаем для следующих файлов того же шаблона
+      const profile =
+        profileName &&
+        profiles.saveProfile({
+          clientId: req.client.id,
+          name: profileName,
+          columns,
+          mapping: pickMapping(mapping),
         });
 
-        console.log("✅ Email sent", { jobId, email });
-      } catch (e) {
-        console.error("❌ Email failed", {
-          jobId,
-          error: e?.message || e,
-          name: e?.name,
-          code: e?.code,
-          response: e?.response,
-        });
-      }
+      // быстро отвечаем фронту
+      res.status(201).json({
+        jobId,
+        status: job.status,
+        profileId: profile ? profile.id : null,
+      });
+
+      // в фоне, через общую очередь: инференс -> письмо
+      const baseUrl = publicBaseUrl(req);
+      const controller = new AbortController();
+      cancellable.set(jobId, { controller, inputPath });
+      queue.enqueue({
+        id: jobId,
+        // справедливость — между получателями внутри каждого API-ключа
+        submitter: `${req.client.id}/${email || callbackUrl}`,
+        // queue запускает job из чужого контекста — задаём свой явно
+        run: () =>
+          withContext({ requestId: req.id, jobId }, () =>
+            runJob({
+              jobId,
+              email: email || null,
+              callbackUrl,
+              baseUrl,
+              inputPath,
+              filename: reqFilename,
+              models,
+              sheet,
+              headerRow,
+              mapping: job.mapping,
+              locale,
+              signal: controller.signal,
+            })
+          ),
+      });
+    } catch (e) {
+      return res.status(400).json({ error: "Bad request", details: e.message });
+    }
+  }
+);
+
+app.get("/api/jobs", (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+  const status = req.query.status ? String(req.query.status) : undefined;
+
+  if (status && !jobs.STATUSES.includes(status))
+    return res.status(400).json({ error: `Unknown status: ${status}` });
+
+  res.json(
+    jobs.listJobs({ limit, offset, status, clientId: req.client.id })
+  );
+});
+
+app.get("/api/jobs/:id", (req, res) => {
+  const job = jobs.getJob(req.params.id);
+  // чужие jobs не показываем вовсе
+  if (!job || job.clientId !== req.client.id)
+    return res.status(404).json({ error: "Job not found" });
+
+  const resultUrl =
+    job.result && !job.result.deleted
+      ? results.downloadUrl(publicBaseUrl(req), job.id, job.result)
+      : null;
+  res.json({ ...job, resultUrl, queuePosition: queue.position(job.id) });
+});
+
+// Живой статус job (Server-Sent Events): сначала snapshot с текущим
+// состоянием, затем status / progress / retry; поток закрывается на финальном статусе
+app.get("/api/jobs/:id/events", (req, res) => {
+  const job = jobs.getJob(req.params.id);
+  if (req.client ? job?.clientId !== req.client.id : !job)
+    return res.status(404).json({ error: "Job not found" });
+  if (!req.client) {
+    const check = results.verifyToken(job.id, req.query.token, "events");
+    if (check !== "ok")
+      return res.status(401).json({ error: `Events token is ${check}` });
+  }
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // nginx не должен буферизовать поток
+  });
+  res.flushHeaders();
+
+  const send = (type, data) =>
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  send("snapshot", {
+    status: job.status,
+    progress: job.progress,
+    queuePosition: queue.position(job.id),
+    error: job.error,
+  });
+  if (jobs.isTerminal(job.status)) return res.end();
+
+  const unsubscribe = jobs.onJobEvent(job.id, ({ type, data }) => {
+    send(type, data);
+    if (type === "status" && jobs.isTerminal(data.status)) res.end();
+  });
+  // комментарий раз в 15 с, чтобы прокси не закрывали «тихое» соединение
+  const ping = setInterval(() => res.write(": ping\n\n"), 15_000);
+
+  res.on("close", () => {
+    clearInterval(ping);
+    unsubscribe();
+  });
+});
+
+app.post("/api/jobs/:id/events-token", (req, res) => {
+  const job = jobs.getJob(req.params.id);
+  if (!job || job.clientId !== req.client.id)
+    return res.status(404).json({ error: "Job not found" });
+
+  const { token, expiresAt } = results.eventsToken(job.id);
+  const url = `${publicBaseUrl(req)}/api/jobs/${encodeURIComponent(
+    job.id
+  )}/events?token=${token}`;
+  res.json({ token, expiresAt, url });
+});
+
+// отменить может только API-ключ, создавший job
+function handleCancel(req, res) {
+  const job = jobs.getJob(req.params.id);
+  if (!job || job.clientId !== req.client.id)
+    return res.status(404).json({ error: "Job not found" });
+
+  if (jobs.isTerminal(job.status))
+    return res.status(409).json({ error: `Job is already ${job.status}` });
+  if (!withContext({ jobId: job.id }, () => cancelJob(job)))
+    return res.status(409).json({
+      error: "Job can no longer be cancelled, its result is being delivered",
+    });
+
+  res.json(jobs.getJob(job.id));
+}
+
+app.delete("/api/jobs/:id", handleCancel);
+app.post("/api/jobs/:id/cancel", handleCancel);
+
+// Audit
+// from/to в любом формате Date -> ISO; null, если дата не разбирается
+function isoParam(value) {
+  if (value === undefined) return undefined;
+  const t = Date.parse(String(value));
+  return Number.isFinite(t) ? new Date(t).toISOString() : null;
+}
+
+// записи аудита своей job, по порядку
+app.get("/api/jobs/:id/audit", async (req, res) => {
+  const job = jobs.getJob(req.params.id);
+  if (!job || job.clientId !== req.client.id)
+    return res.status(404).json({ error: "Job not found" });
+
+  const { items } = await audit.queryAudit(
+    { jobId: job.id, from: job.createdAt },
+    { limit: 1000 }
+  );
+  res.json({ items: items.reverse() });
+});
+
+// Mapping profiles
+function clientProfile(req, res) {
+  const profile = profiles.getProfile(req.params.id);
+  // чужие профили не показываем
+  if (!profile || profile.clientId !== req.client.id) {
+    res.status(404).json({ error: "Profile not found" });
+    return null;
+  }
+  return profile;
+}
+
+app.get("/api/profiles", (req, res) => {
+  const items = profiles
+    .listProfiles({ clientId: req.client.id })
+    .map(publicProfile);
+  res.json({ items, total: items.length });
+});
+
+app.get("/api/profiles/:id", (req, res) => {
+  const profile = clientProfile(req, res);
+  if (profile) res.json(publicProfile(profile));
+});
+
+app.patch("/api/profiles/:id", express.json(), (req, res) => {
+  const profile = clientProfile(req, res);
+  if (!profile) return;
+
+  const name = String(req.body?.name || "").trim();
+  if (!name) return res.status(400).json({ error: "name is required" });
+  if (name.length > PROFILE_NAME_MAX)
+    return res.status(400).json({
+      error: `name is longer than ${PROFILE_NAME_MAX} characters`,
     });
+  const sameName = profiles.findByName(req.client.id, name);
+  if (sameName && sameName.id !== profile.id)
+    return res.status(409).json({ error: `Profile name is taken: ${name}` });
+
+  res.json(publicProfile(profiles.renameProfile(profile.id, name)));
+});
+
+app.delete("/api/profiles/:id", (req, res) => {
+  const profile = clientProfile(req, res);
+  if (!profile) return;
+  profiles.deleteProfile(profile.id);
+  res.status(204).end();
+});
+
+// Admin: модели и алиасы. Изменения проверяются схемой, пишутся в configs/
+// и применяются сразу; при ошибке остаются прежние конфиги.
+const admin = express.Router();
+admin.use(auth.requireAdmin, express.json({ limit: "1mb" }));
+admin.use((req, res, next) => {
+  // PUT без JSON-тела молча ничего бы не поменял
+  if (req.method === "PUT" && req.body === undefined)
+    return res.status(400).json({ error: "JSON body required" });
+  next();
+});
+
+function updateConfigs(res, patch) {
+  try {
+    applyConfigs(config.updateConfigs(patch));
+  } catch (e) {
+    if (!e.details) throw e;
+    res.status(400).json({ error: "Invalid config", details: e.details });
+    return false;
+  }
+  logger.info("Configs updated", {
+    configs: Object.keys(patch),
+    clientId: res.req.client.id,
+  });
+  return true;
+}
+
+admin.get("/models", (req, res) => res.json(modelsCfg));
+
+admin.put("/models", (req, res) => {
+  if (updateConfigs(res, { models: req.body })) res.json(modelsCfg);
+});
+
+admin.put("/models/:id", (req, res) => {
+  const model = { ...req.body, id: req.params.id };
+  const exists = modelsCfg.some((m) => m.id === model.id);
+  const models = exists
+    ? modelsCfg.map((m) => (m.id === model.id ? model : m))
+    : [...modelsCfg, model];
+  if (updateConfigs(res, { models }))
+    res
+      .status(exists ? 200 : 201)
+      .json(modelsCfg.find((m) => m.id === model.id));
+});
+
+admin.delete("/models/:id", (req, res) => {
+  if (!modelsCfg.some((m) => m.id === req.params.id))
+    return res.status(404).json({ error: "Model not found" });
+  const models = modelsCfg.filter((m) => m.id !== req.params.id);
+  if (updateConfigs(res, { models })) res.status(204).end();
+});
+
+admin.get("/fields", (req, res) => res.json(reqCfg));
+
+admin.put("/fields", (req, res) => {
+  if (updateConfigs(res, { required: req.body })) res.json(reqCfg);
+});
+
+admin.put("/fields/:field/aliases", (req, res) => {
+  const required = {
+    ...reqCfg,
+    aliases: { ...reqCfg.aliases, [req.params.field]: req.body },
+  };
+  if (updateConfigs(res, { required })) res.json(reqCfg);
+});
+
+// файлы поправили на диске руками — перечитать без рестарта
+admin.post("/reload", (req, res) => {
+  try {
+    applyConfigs(config.loadConfigs());
   } catch (e) {
-    return res.status(400).json({ error: "Bad request", details: e.message });
+    if (!e.details) throw e;
+    return res
+      .status(400)
+      .json({ error: "Invalid config", details: e.details });
   }
+  logger.info("Configs reloaded from disk", { clientId: req.client.id });
+  res.json({ required: reqCfg, models: modelsCfg });
+});
+
+// поиск по аудиту всех клиентов, новые записи первыми
+admin.get("/audit", async (req, res) => {
+  const from = isoParam(req.query.from);
+  const to = isoParam(req.query.to);
+  if (from === null || to === null)
+    return res.status(400).json({ error: "from/to must be ISO dates" });
+
+  const filter = { from, to };
+  for (const key of ["jobId", "clientId", "event", "outcome", "model"])
+    if (req.query[key]) filter[key] = String(req.query[key]);
+
+  const limit = Math.min(
+    Math.max(parseInt(req.query.limit, 10) || 100, 1),
+    1000
+  );
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+  res.json(await audit.queryAudit(filter, { limit, offset }));
+});
+
+app.use("/api/admin", admin);
+
+app.get("/api/jobs/:id/result", (req, res) => {
+  const job = jobs.getJob(req.params.id);
+  if (!job || !job.result)
+    return res.status(404).json({ error: "Result not found" });
+
+  const check = results.verifyToken(job.id, req.query.token);
+  if (check === "invalid")
+    return res.status(403).json({ error: "Invalid download token" });
+
+  const file = !job.result.deleted && results.resultPath(job.id);
+  if (check === "expired" || !file)
+    return res.status(410).json({ error: "Download link has expired" });
+
+  res.download(file, job.result.filename);
+});
+
+// Последний обработчик: необработанные ошибки маршрутов — в лог (JSON, с
+// requestId, без секретов) и клиенту ErrorResponse вместо HTML со стеком
+app.use((err, req, res, next) => {
+  const status = err.status || err.statusCode || 500;
+  if (status >= 500)
+    logger.error("Unhandled route error", {
+      requestId: req.id,
+      error: err,
+      stack: err?.stack,
+    });
+  else logger.warn("Request rejected", { requestId: req.id, error: err });
+
+  if (res.headersSent) return next(err);
+  res.status(status).json(
+    status >= 500
+      ? { error: "Internal server error" }
+      : // ошибки body-parser и т.п. с expose=true можно показать клиенту
+        { error: err.expose ? err.message : "Bad request" }
+  );
 });
 
 //  Process error handlers
-process.on("uncaughtException", (e) => console.error("uncaughtException:", e));
+// стек пишем всегда: без него такие ошибки не найти
+process.on("uncaughtException", (e) =>
+  logger.error("uncaughtException", { error: e, stack: e?.stack })
+);
 process.on("unhandledRejection", (e) =>
-  console.error("unhandledRejection:", e)
+  logger.error("unhandledRejection", { error: e, stack: e?.stack })
 );
 
 async function sendStartupEmailOnce() {
   try {
     if (!process.env.STARTUP_NOTIFY_EMAIL) {
-      console.log("ℹ️ STARTUP_NOTIFY_EMAIL not set, skip startup email");
+      logger.info("STARTUP_NOTIFY_EMAIL not set, skip startup email");
       return;
     }
 
     await sendResultEmail({
       to: process.env.STARTUP_NOTIFY_EMAIL,
-      subject: "🚀 ML Parser service started",
-      text: [
-        "Service startup notification",
-        "",
-        `Time: ${new Date().toISOString()}`,
-        `Node: ${process.version}`,
-        `PID: ${process.pid}`,
-        `Env: ${process.env.NODE_ENV || "unknown"}`,
-      ].join("\n"),
+      ...emails.renderEmail("startup", process.env.STARTUP_NOTIFY_LOCALE, {
+        time: new Date().toISOString(),
+        node: process.version,
+        pid: process.pid,
+        env: process.env.NODE_ENV || "unknown",
+      }),
     });
 
-    console.log("📨 Startup email sent");
+    logger.info("Startup email sent");
   } catch (e) {
-    console.error("❌ Failed to send startup email:", e?.message || e);
+    logger.error("Failed to send startup email", { error: e });
   }
 }
 
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, "0.0.0.0", () => {
-  console.log("Listening on", PORT);
+  logger.info("Listening", { port: Number(PORT) });
   sendStartupEmailOnce();
+  notifyInterrupted(interrupted);
 });
@@ -0,0 +1,33 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+/** Каталог для данных сервиса (jobs, результаты и т.д.), задаётся через DATA_DIR */
+function dataPath(...parts) {
+  const root = process.env.DATA_DIR || path.join(__dirname, "data");
+  return path.join(root, ...parts);
+}
+
+function ensureDir(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  return dir;
+}
+
+function readJson(file, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch {
+    return fallback;
+  }
+}
+
+// пишем во временный файл и переименовываем, чтобы при падении не остался обрезанный JSON
+function writeJsonAtomic(file, value) {
+  ensureDir(path.dirname(file));
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(value, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+module.exports = { dataPath, ensureDir, readJson, writeJsonAtomic };
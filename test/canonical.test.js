@@ -0,0 +1,48 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const XLSX = require("xlsx");
+
+const { CANONICAL_SHEET, buildCanonicalWorkbook } = require("../canonical");
+const { splitUrls } = require("../quality");
+
+const norm = (v) => String(v ?? "").trim().toLowerCase();
+
+function canonicalRows(imagesCell) {
+  const buf = buildCanonicalWorkbook(
+    {
+      header: ["Image URL", "Title"],
+      rows: [{ rowNumber: 2, cells: [imagesCell, "Chair"] }],
+    },
+    { product_images: "Image URL", title: "Title" },
+    norm
+  );
+  const sheet = XLSX.read(buf).Sheets[CANONICAL_SHEET];
+  return XLSX.utils.sheet_to_json(sheet);
+}
+
+test("splitUrls keeps commas inside a URL", () => {
+  assert.deepStrictEqual(
+    splitUrls("https://cdn.example.com/w_500,h_500/img.jpg"),
+    ["https://cdn.example.com/w_500,h_500/img.jpg"]
+  );
+});
+
+test("splitUrls splits on a comma before the next URL", () => {
+  assert.deepStrictEqual(
+    splitUrls("https://a.example/1.jpg, https://b.example/2.jpg;c.jpg"),
+    ["https://a.example/1.jpg", "https://b.example/2.jpg", "c.jpg"]
+  );
+});
+
+test("canonical sheet keeps a comma-containing image URL intact", () => {
+  const [row] = canonicalRows(
+    "https://cdn.example.com/w_500,h_500/img.jpg https://b.example/2.jpg"
+  );
+  assert.strictEqual(
+    row.product_images,
+    "https://cdn.example.com/w_500,h_500/img.jpg\nhttps://b.example/2.jpg"
+  );
+  assert.strictEqual(row.row_id, 2);
+});
@@ -0,0 +1,82 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const dns = require("dns");
+const http = require("http");
+
+const webhook = require("../webhook");
+
+test("isPublicAddress rejects non-public addresses", () => {
+  for (const address of [
+    "::ffff:7f00:1",
+    "::ffff:127.0.0.1",
+    "::1",
+    "fe80::1",
+    "100.64.0.1",
+    "169.254.169.254",
+    "10.1.2.3",
+  ])
+    assert.strictEqual(webhook.isPublicAddress(address), false, address);
+});
+
+test("isPublicAddress accepts public addresses", () => {
+  for (const address of ["8.8.8.8", "::ffff:8.8.8.8", "2606:4700:4700::1111"])
+    assert.strictEqual(webhook.isPublicAddress(address), true, address);
+});
+
+test("checkCallbackTarget checks IP literals without DNS", async () => {
+  assert.notStrictEqual(
+    await webhook.checkCallbackTarget("http://[::1]:8080/hook"),
+    null
+  );
+  assert.notStrictEqual(
+    await webhook.checkCallbackTarget("http://[::ffff:7f00:1]/hook"),
+    null
+  );
+  assert.strictEqual(
+    await webhook.checkCallbackTarget("https://8.8.8.8/hook"),
+    null
+  );
+});
+
+test("publicLookup refuses a host that resolves to loopback", (t, done) => {
+  webhook.publicLookup("localhost", {}, (err) => {
+    assert.strictEqual(err?.code, "ENOTPUBLIC");
+    done();
+  });
+});
+
+test("deliverWebhook does not connect after DNS rebinding", async (t) => {
+  let hits = 0;
+  const server = http.createServer((req, res) => {
+    hits++;
+    res.end("ok");
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => server.close());
+
+  // проверка адреса видит публичный адрес, а connect резолвит localhost заново
+  t.mock.method(dns.promises, "lookup", async () => [
+    { address: "93.184.216.34", family: 4 },
+  ]);
+  process.env.WEBHOOK_SECRET = "test-secret";
+  process.env.WEBHOOK_RETRIES = "1";
+  t.after(() => {
+    delete process.env.WEBHOOK_SECRET;
+    delete process.env.WEBHOOK_RETRIES;
+  });
+
+  const attempts = [];
+  await assert.rejects(
+    webhook.deliverWebhook({
+      url: `http://localhost:${server.address().port}/hook`,
+      payload: { event: "job.done" },
+      onAttempt: (a) => attempts.push(a),
+    }),
+    /Webhook delivery failed/
+  );
+  assert.strictEqual(hits, 0);
+  assert.strictEqual(attempts.length, 1);
+  assert.strictEqual(attempts[0].ok, false);
+});
@@ -0,0 +1,161 @@
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+
+const { logger } = require("./logger");
+
+// fileToken -> { path, originalname, mimetype, format, size, sha256,
+//                sourceSize, expiresAt }
+const cache = new Map();
+let cacheBytes = 0;
+
+function ttlMs() {
+  return Number(process.env.UPLOAD_TTL_MS || 30 * 60 * 1000); // 30 min
+}
+
+function maxBytes() {
+  return Number(process.env.UPLOAD_CACHE_MAX_BYTES || 2 * 1024 * 1024 * 1024);
+}
+
+/** Каталог временных файлов: загрузки multer, кэш fileToken и входы jobs */
+function tmpDir() {
+  const dir =
+    process.env.UPLOAD_TMP_DIR || path.join(os.tmpdir(), "mlparser-uploads");
+  fs.mkdirSync(dir, { recursive: true });
+  return dir;
+}
+
+// все временные файлы сервиса называются "<prefix>_<24 hex>[.xlsx]":
+// cleanTmpDir удаляет только их, даже если UPLOAD_TMP_DIR — общий каталог
+const OWN_FILE_RE = /^(upload|cache|job|file)_[0-9a-f]{24}(\.xlsx)?$/;
+
+function tmpName(prefix) {
+  return `${prefix}_${crypto.randomBytes(12).toString("hex")}`;
+}
+
+function tmpPath(prefix) {
+  return path.join(tmpDir(), `${tmpName(prefix)}.xlsx`);
+}
+
+/** Имя для файла multer: формат ещё не известен, поэтому без расширения */
+function uploadFilename(req, file, cb) {
+  cb(null, tmpName("upload"));
+}
+
+function removeFile(file) {
+  if (!file) return;
+  fs.rm(file, { force: true }, (e) => {
+    if (e) logger.warn("Failed to remove temp file", { file, error: e });
+  });
+}
+
+/** Удаляет свои временные файлы, оставшиеся от прошлого запуска */
+function cleanTmpDir() {
+  const dir = tmpDir();
+  let n = 0;
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (!entry.isFile() || !OWN_FILE_RE.test(entry.name)) continue;
+    fs.rmSync(path.join(dir, entry.name), { force: true });
+    n++;
+  }
+  return n;
+}
+
+/**
+ * Сохраняет подготовленный файл во временный каталог под новым именем.
+ * Если содержимое не менялось (XLSX как есть), делаем hard link на исходник.
+ */
+function persistFile(file, prefix = "file") {
+  const dest = tmpPath(prefix);
+  if (file.sourcePath) {
+    try {
+      fs.linkSync(file.sourcePath, dest);
+    } catch {
+      // другой раздел или нет поддержки ссылок — просто копируем
+      fs.copyFileSync(file.sourcePath, dest);
+    }
+    return dest;
+  }
+  fs.writeFileSync(dest, file.buffer);
+  return dest;
+}
+
+function drop(token) {
+  const entry = cache.get(token);
+  if (!entry) return;
+  cache.delete(token);
+  cacheBytes -= entry.size;
+  removeFile(entry.path);
+}
+
+function sweep() {
+  const t = Date.now();
+  for (const [token, entry] of cache) {
+    if (entry.expiresAt <= t) drop(token);
+  }
+}
+
+/** Кладёт загруженный файл в кэш и возвращает fileToken */
+function putUpload(file) {
+  sweep();
+
+  const size = file.buffer.length;
+  // Map хранит порядок вставки — вытесняем самые старые загрузки
+  for (const token of cache.keys()) {
+    if (cacheBytes + size <= maxBytes()) break;
+    drop(token);
+  }
+
+  const token = "f_" + crypto.randomBytes(16).toString("hex");
+  const expiresAt = Date.now() + ttlMs();
+  cache.set(token, {
+    path: persistFile(file, "cache"),
+    originalname: file.originalname,
+    mimetype: file.mimetype,
+    format: file.format,
+    size,
+    sha256: file.sha256,
+    sourceSize: file.sourceSize,
+    expiresAt,
+  });
+  cacheBytes += size;
+
+  return { token, expiresAt: new Date(expiresAt).toISOString() };
+}
+
+/** null, если токен неизвестен или истёк */
+function getUpload(token) {
+  const entry = cache.get(token);
+  if (!entry) return null;
+  if (entry.expiresAt <= Date.now()) {
+    drop(token);
+    return null;
+  }
+  return entry;
+}
+
+/**
+ * Middleware после multer: исходный файл запроса удаляется, когда ответ
+ * отправлен (или соединение оборвалось). Всё, что нужно дольше, сохраняется
+ * через persistFile.
+ */
+function cleanupRequestFile(req, res, next) {
+  res.on("close", () => removeFile(req.file?.path));
+  next();
+}
+
+setInterval(sweep, 60 * 1000).unref();
+
+module.exports = {
+  tmpDir,
+  uploadFilename,
+  cleanTmpDir,
+  persistFile,
+  removeFile,
+  putUpload,
+  getUpload,
+  cleanupRequestFile,
+};
@@ -0,0 +1,223 @@
+"use strict";
+
+const crypto = require("crypto");
+const dns = require("dns");
+const net = require("net");
+const { Agent, fetch } = require("undici");
+
+const { sleep } = require("./inference/fetchWithRetry");
+
+function webhookOptions() {
+  return {
+    retries: Number(process.env.WEBHOOK_RETRIES || 5),
+    timeoutMs: Number(process.env.WEBHOOK_TIMEOUT_MS || 30_000),
+    baseDelayMs: Number(process.env.WEBHOOK_RETRY_BASE_DELAY_MS || 5000),
+    maxDelayMs: Number(process.env.WEBHOOK_RETRY_MAX_DELAY_MS || 5 * 60_000),
+  };
+}
+
+function isConfigured() {
+  return Boolean(process.env.WEBHOOK_SECRET);
+}
+
+function isValidCallbackUrl(value) {
+  try {
+    const u = new URL(value);
+    return u.protocol === "http:" || u.protocol === "https:";
+  } catch {
+    return false;
+  }
+}
+
+// куда callback слать нельзя: loopback, частные сети, link-local
+// (169.254.169.254 — метаданные облака) и прочие непубличные диапазоны
+const BLOCKED = new net.BlockList();
+for (const [address, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 3], // multicast и зарезервированные
+])
+  BLOCKED.addSubnet(address, prefix, "ipv4");
+for (const [address, prefix] of [
+  ["::", 127], // :: и ::1
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+])
+  BLOCKED.addSubnet(address, prefix, "ipv6");
+
+// IPv4-mapped IPv6 ("::ffff:7f00:1") проверяем как IPv4; правило
+// ::ffff:0:0/96 в BlockList совпало бы с любым IPv4-адресом
+function unmapIPv4(ip) {
+  const m = /^::ffff:(?:([\d.]+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/i.exec(ip);
+  if (!m) return ip;
+  if (m[1]) return m[1];
+  const hi = parseInt(m[2], 16);
+  const lo = parseInt(m[3], 16);
+  return [hi >> 8, hi & 255, lo >> 8, lo & 255].join(".");
+}
+
+function isPublicAddress(address) {
+  const ip = unmapIPv4(address);
+  return !BLOCKED.check(ip, net.isIPv6(ip) ? "ipv6" : "ipv4");
+}
+
+/**
+ * null, если на url можно слать callback, иначе причина. Проверяются все
+ * адреса хоста по DNS; WEBHOOK_ALLOW_PRIVATE=true снимает запрет (для dev).
+ * Причина не раскрывает адреса: она попадает в job.deliveries.
+ */
+async function checkCallbackTarget(url) {
+  if (process.env.WEBHOOK_ALLOW_PRIVATE === "true") return null;
+
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, "");
+  let addresses;
+  try {
+    addresses = net.isIP(host)
+      ? [{ address: host }]
+      : await dns.promises.lookup(host, { all: true, verbatim: true });
+  } catch {
+    return `Cannot resolve callback host: ${host}`;
+  }
+  return addresses.every((a) => isPublicAddress(a.address))
+    ? null
+    : `Callback host is not a public address: ${host}`;
+}
+
+/**
+ * dns.lookup для соединений webhook: отдаёт только публичные адреса, иначе
+ * ошибка. Соединение идёт на адрес, проверенный здесь же, так что DNS
+ * rebinding между checkCallbackTarget и connect ничего не даст.
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(
+    hostname,
+    { ...options, all: true, verbatim: true },
+    (err, addresses) => {
+      if (err) return callback(err);
+      if (!addresses.every((a) => isPublicAddress(a.address))) {
+        const e = new Error(
+          `Callback host is not a public address: ${hostname}`
+        );
+        e.code = "ENOTPUBLIC";
+        return callback(e);
+      }
+      if (options.all) return callback(null, addresses);
+      callback(null, addresses[0].address, addresses[0].family);
+    }
+  );
+}
+
+let pinnedAgent = null;
+
+// с WEBHOOK_ALLOW_PRIVATE=true — обычный dispatcher undici
+function webhookDispatcher() {
+  if (process.env.WEBHOOK_ALLOW_PRIVATE === "true") return undefined;
+  if (!pinnedAgent)
+    pinnedAgent = new Agent({ connect: { lookup: publicLookup } });
+  return pinnedAgent;
+}
+
+/**
+ * Подпись: HMAC-SHA256 от "<timestamp>.<body>" ключом WEBHOOK_SECRET.
+ * Получатель пересчитывает её и сверяет с заголовком X-Signature.
+ */
+function sign(timestamp, body) {
+  const secret = process.env.WEBHOOK_SECRET;
+  if (!secret) throw new Error("WEBHOOK_SECRET is not set");
+  return (
+    "sha256=" +
+    crypto
+      .createHmac("sha256", secret)
+      .update(`${timestamp}.${body}`)
+      .digest("hex")
+  );
+}
+
+/**
+ * POST payload на url с повторами и экспоненциальной задержкой.
+ * onAttempt вызывается после каждой попытки — для журнала доставки job.
+ */
+async function deliverWebhook({ url, payload, onAttempt = () => {} }) {
+  const { retries, timeoutMs, baseDelayMs, maxDelayMs } = webhookOptions();
+  const body = JSON.stringify(payload);
+
+  // адрес проверяем при доставке, а не только при создании job: DNS мог
+  // смениться. IP-литерал в url идёт мимо lookup — его ловит только она
+  const blocked = await checkCallbackTarget(url);
+  if (blocked) {
+    onAttempt({
+      attempt: 1,
+      at: new Date().toISOString(),
+      status: null,
+      ok: false,
+      error: blocked,
+    });
+    throw new Error(`Webhook delivery failed: ${blocked}`);
+  }
+
+  for (let attempt = 1; attempt <= retries; attempt++) {
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const controller = new AbortController();
+    const t = setTimeout(() => controller.abort(), timeoutMs);
+
+    let status = null;
+    let error = null;
+    try {
+      const r = await fetch(url, {
+        method: "POST",
+        headers: {
+          "content-type": "application/json",
+          "x-timestamp": timestamp,
+          "x-signature": sign(timestamp, body),
+          "x-event": payload.event,
+        },
+        body,
+        // редирект мог бы увести запрос во внутреннюю сеть
+        redirect: "manual",
+        signal: controller.signal,
+        dispatcher: webhookDispatcher(),
+      });
+      status = r.status;
+      if (!r.ok) error = `HTTP ${r.status}`;
+    } catch (e) {
+      error = String(e?.message || e);
+    } finally {
+      clearTimeout(t);
+    }
+
+    onAttempt({
+      attempt,
+      at: new Date().toISOString(),
+      status,
+      ok: !error,
+      error,
+    });
+    if (!error) return;
+
+    // 4xx (кроме 408/429) — получатель явно отказал, повтор не поможет
+    const retryable =
+      status == null || status === 408 || status === 429 || status >= 500;
+    if (attempt === retries || !retryable)
+      throw new Error(`Webhook delivery failed: ${error}`);
+
+    const exp = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempt - 1));
+    await sleep(exp + Math.floor(Math.random() * 500));
+  }
+}
+
+module.exports = {
+  isConfigured,
+  isValidCallbackUrl,
+  isPublicAddress,
+  publicLookup,
+  checkCallbackTarget,
+  deliverWebhook,
+};